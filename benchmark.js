@@ -0,0 +1,77 @@
+'use strict'
+
+// throughput of the parser over synthetic large inputs, which is part of npm test:
+// each step has to run in linear time, so that an input takes about as long as the same input in several parts,
+// instead of as many times as long as there are parts for a quadratic one.
+// The times are the fastest of several runs, to be less dependent on the jit and on the garbage collector,
+// which runs before each of them with node --expose-gc benchmark.js
+
+const test = require('tape')
+const { compile, parse, parseDocument, optimize, segment } = require('./parser')
+
+const runs  = 3
+const parts = 8
+const limit = 3
+// shorter times are too inaccurate, they are compared as this many milliseconds
+const floor = 25
+
+// inputs of a size: the number of repetitions of their pattern
+const inputs = {
+  'prose'                : (n) => "Some ''italic'' and '''bold''' text with [[a link|label]], {{tpl|a=b}}<ref>A note.</ref> and [http://example.org ext]. ".repeat(n),
+  'formatting'           : (n) => "''a'''''b'''<i>c</i>".repeat(n),
+  'unclosed links'       : (n) => '[http://example.org a [[b '.repeat(n),
+  'nested links'         : (n) => '[http://example.org a '.repeat(n) + ']',
+  'unclosed tags'        : (n) => "<b>a <sup>b ''c ".repeat(n),
+  'url parentheses'      : (n) => 'http://a.b/' + ')'.repeat(n),
+  'unclosed literal tags': (n) => '<nowiki>a <pre>b <math>c '.repeat(n),
+  'document'             : (n) => '== Section ==\nA paragraph. It has sentences.\n* a list\n** item\n; term : definition\n\n'.repeat(n),
+}
+
+// repetitions of each part, of 5.000 to 10.000 characters
+const sizes = {
+  'prose'                : 100,
+  'formatting'           : 250,
+  'unclosed links'       : 200,
+  'nested links'         : 500,
+  'unclosed tags'        : 300,
+  'url parentheses'      : 5000,
+  'unclosed literal tags': 300,
+  'document'             : 75,
+}
+
+// steps of the pipelines, each gets the output of the previous one
+const pipelines = {
+  inline   : { compile, parse, optimize },
+  document : { compile, parseDocument, segment },
+}
+
+// milliseconds of the fastest run of each step over all of the inputs
+function measure(pipeline, inputs) {
+  const times = {}
+  for (let i = 0; i < runs; i++) {
+    let outputs = inputs
+    for (const step in pipeline) {
+      if (global.gc) { global.gc() }
+      const start = process.hrtime.bigint()
+      outputs = outputs.map(output => pipeline[step](output))
+      times[step] = Math.min(( step in times ? times[step] : Infinity ), Number(process.hrtime.bigint() - start) / 1e6)
+    }
+  }
+  return times
+}
+
+for (const name in inputs) {
+  test('benchmark ' + name, t => {
+    const pipeline = pipelines[( name === 'document' ? 'document' : 'inline' )]
+    const part     = inputs[name](sizes[name])
+    const whole    = inputs[name](sizes[name] * parts)
+    const split = measure(pipeline, Array(parts).fill(part))
+    const once  = measure(pipeline, [ whole ])
+    for (const step in pipeline) {
+      const ratio = Math.max(once[step], floor) / Math.max(split[step], floor)
+      t.comment(`${ step }: ${ Math.round(whole.length / once[step]) } characters per millisecond`)
+      t.ok(ratio < limit, `${ step } of ${ name }: the whole input takes ${ ratio.toFixed(1) } times as long as ${ parts } parts of it`)
+    }
+    t.end()
+  })
+}
@@ -1,41 +1,222 @@
 'use strict'
 
-// Generator::map()
-// https://stackoverflow.com/a/45984769
-const Generator = Object.getPrototypeOf(function* () {})
-Generator.prototype.map = function* (mapper, thisArg) {
-  for (const val of this) {
-    yield mapper.call(thisArg, val);
-  }
+// escaping of text and urls for the different output formats
+
+const percent = (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')
+
+const htmlChars = {
+  '&'      : '&amp;',
+  '<'      : '&lt;',
+  '>'      : '&gt;',
+  '"'      : '&quot;',
+  "'"      : '&#39;',
+  '\u00a0' : '&nbsp;',
+  '\u00ad' : '&shy;',
+}
+
+const latexChars = {
+  '\\'     : '\\textbackslash{}',
+  '{'      : '\\{',
+  '}'      : '\\}',
+  '$'      : '\\$',
+  '&'      : '\\&',
+  '#'      : '\\#',
+  '%'      : '\\%',
+  '_'      : '\\_',
+  '^'      : '\\textasciicircum{}',
+  '~'      : '\\textasciitilde{}',
+  '<'      : '\\textless{}',
+  '>'      : '\\textgreater{}',
+  // non-breaking space, soft hyphen and thin space
+  '\u00a0' : '~',
+  '\u00ad' : '\\-',
+  '\u2009' : '\\,',
 }
-// Generator::toArray()
-Generator.prototype.toArray = function () {
-  return [ ...this ]
+
+const escape = {
+  html        : (text) => String(text).replace(/[&<>\u00a0\u00ad]/g, c => htmlChars[c]),
+  htmlAttr    : (text) => String(text).replace(/[&<>"']/g, c => htmlChars[c]),
+  latex       : (text) => String(text).replace(/[\\{}$&#%_^~<>\u00a0\u00ad\u2009]/g, c => latexChars[c]),
+  // \href needs # and % escaped, everything that would unbalance the arguments is percent-encoded
+  latexUrl    : (url)  => String(url).replace(/[\\{}^\s]/g, percent).replace(/[#%]/g, c => '\\' + c),
+  markdown    : (text) => String(text).replace(/[\\`*_[\]<>&!~|]/g, c => '\\' + c).replace(/[\u00a0\u00ad]/g, c => htmlChars[c]),
+  markdownUrl : (url)  => String(url).replace(/[\\()<>\s]/g, percent),
+  // page titles in urls like mediawiki does it (wfUrlencode), with underscores instead of spaces
+  title       : (title)  => encodeURIComponent(title.replace(/ /g, '_'))
+    .replace(/%(3B|40|24|21|2A|28|29|2C|2F|7E|3A)/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+  // anchors are section ids, only what is not allowed in the fragment of an url is encoded
+  anchor      : (anchor) => anchor.replace(/ /g, '_').replace(/[%"<>`{}|\\^[\]\s\x00-\x1f\x7f]/g, encodeURIComponent),
+}
+
+// decoding of texts and link targets: AT&amp;T, &mdash;, &#8212;, [[caf%C3%A9]]
+
+// named character references of html 4 and &apos;, with their code points
+const entities = (
+    'amp 38 lt 60 gt 62 quot 34 apos 39 nbsp 160 '
+  + 'AElig 198 Aacute 193 Acirc 194 Agrave 192 Alpha 913 Aring 197 Atilde 195 Auml 196 Beta 914 Ccedil 199 Chi 935 '
+  + 'Dagger 8225 Delta 916 ETH 208 Eacute 201 Ecirc 202 Egrave 200 Epsilon 917 Eta 919 Euml 203 Gamma 915 '
+  + 'Iacute 205 Icirc 206 Igrave 204 Iota 921 Iuml 207 Kappa 922 Lambda 923 Mu 924 Ntilde 209 Nu 925 OElig 338 '
+  + 'Oacute 211 Ocirc 212 Ograve 210 Omega 937 Omicron 927 Oslash 216 Otilde 213 Ouml 214 Phi 934 Pi 928 '
+  + 'Prime 8243 Psi 936 Rho 929 Scaron 352 Sigma 931 THORN 222 Tau 932 Theta 920 Uacute 218 Ucirc 219 Ugrave 217 '
+  + 'Upsilon 933 Uuml 220 Xi 926 Yacute 221 Yuml 376 Zeta 918 aacute 225 acirc 226 acute 180 aelig 230 agrave 224 '
+  + 'alefsym 8501 alpha 945 and 8743 ang 8736 aring 229 asymp 8776 atilde 227 auml 228 bdquo 8222 beta 946 '
+  + 'brvbar 166 bull 8226 cap 8745 ccedil 231 cedil 184 cent 162 chi 967 circ 710 clubs 9827 cong 8773 copy 169 '
+  + 'crarr 8629 cup 8746 curren 164 dArr 8659 dagger 8224 darr 8595 deg 176 delta 948 diams 9830 divide 247 '
+  + 'eacute 233 ecirc 234 egrave 232 empty 8709 emsp 8195 ensp 8194 epsilon 949 equiv 8801 eta 951 eth 240 '
+  + 'euml 235 euro 8364 exist 8707 fnof 402 forall 8704 frac12 189 frac14 188 frac34 190 frasl 8260 gamma 947 '
+  + 'ge 8805 hArr 8660 harr 8596 hearts 9829 hellip 8230 iacute 237 icirc 238 iexcl 161 igrave 236 image 8465 '
+  + 'infin 8734 int 8747 iota 953 iquest 191 isin 8712 iuml 239 kappa 954 lArr 8656 lambda 955 lang 9001 laquo 171 '
+  + 'larr 8592 lceil 8968 ldquo 8220 le 8804 lfloor 8970 lowast 8727 loz 9674 lrm 8206 lsaquo 8249 lsquo 8216 '
+  + 'macr 175 mdash 8212 micro 181 middot 183 minus 8722 mu 956 nabla 8711 ndash 8211 ne 8800 ni 8715 not 172 '
+  + 'notin 8713 nsub 8836 ntilde 241 nu 957 oacute 243 ocirc 244 oelig 339 ograve 242 oline 8254 omega 969 '
+  + 'omicron 959 oplus 8853 or 8744 ordf 170 ordm 186 oslash 248 otilde 245 otimes 8855 ouml 246 para 182 '
+  + 'part 8706 permil 8240 perp 8869 phi 966 pi 960 piv 982 plusmn 177 pound 163 prime 8242 prod 8719 prop 8733 '
+  + 'psi 968 rArr 8658 radic 8730 rang 9002 raquo 187 rarr 8594 rceil 8969 rdquo 8221 real 8476 reg 174 '
+  + 'rfloor 8971 rho 961 rlm 8207 rsaquo 8250 rsquo 8217 sbquo 8218 scaron 353 sdot 8901 sect 167 shy 173 '
+  + 'sigma 963 sigmaf 962 sim 8764 spades 9824 sub 8834 sube 8838 sum 8721 sup 8835 sup1 185 sup2 178 sup3 179 '
+  + 'supe 8839 szlig 223 tau 964 there4 8756 theta 952 thetasym 977 thinsp 8201 thorn 254 tilde 732 times 215 '
+  + 'trade 8482 uArr 8657 uacute 250 uarr 8593 ucirc 251 ugrave 249 uml 168 upsih 978 upsilon 965 uuml 252 '
+  + 'weierp 8472 xi 958 yacute 253 yen 165 yuml 255 zeta 950 zwj 8205 zwnj 8204 '
+)
+  .trim()
+  .split(' ')
+  .reduce((out, value, index, list) => ( index % 2 ? Object.assign(out, { [list[index - 1]]: String.fromCodePoint(value) }) : out ), {})
+
+const codePoint = (code) => ( code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : undefined )
+
+const decode = {
+  entities : (text) => text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));/gi, (match, dec, hex, name) => (
+      dec ? codePoint(parseInt(dec, 10))
+    : hex ? codePoint(parseInt(hex, 16))
+    : ( Object.prototype.hasOwnProperty.call(entities, name) ? entities[name] : undefined )
+  ) || match),
+  percent  : (text) => text.replace(/(?:%[0-9a-f]{2})+/gi, match => {
+    try { return decodeURIComponent(match) }
+    catch (e) { return match }
+  }),
 }
 
 
 class Node {
+  // source positions inside of the parsed wikitext as { start, end }:
+  // range of the whole markup, innerRange of the content only.
+  // not enumerable, so that they aren't part of comparisons of trees
+  setRange(range, innerRange = range) {
+    Object.defineProperty(this, 'range',      { value: range,      writable: true, configurable: true })
+    Object.defineProperty(this, 'innerRange', { value: innerRange, writable: true, configurable: true })
+    return this
+  }
+
+  // the original markup, for nodes that can be written in several ways (see toWikitext)
+  setMarkup(markup) {
+    Object.defineProperty(this, 'markup', { value: markup, writable: true, configurable: true })
+    return this
+  }
+
+  // the renderers toHTML, toJSON, toLatex and toMarkdown get a render context:
+  // { page, baseUrl, hrefFor(link, context) } with the title of the current page,
+  // the url that internal links are relative to (instead of './') and a custom url builder for links
   toString()   { return 'Node()' }
   toText()     { return '' }
   toHTML()     { return '' }
   toJSON()     { return {} }
   toLatex()    { return '' }
   toMarkdown() { return '' }
+  toWikitext() { return '' }
 }
 
 
-function transform(transform, join = '') {
+function join(transform, join = '') {
   return this.childs.reduce((out, child) => out + (out ? join : '') + transform(child), '')
 }
 
 
-function* search(filter) {
-  if (filter(this)) { yield this }
-  if (this instanceof NodeWithChilds) {
-    for (const child of this.childs) {
-      yield* search.call(child, filter)
+// tree walking
+// callbacks get the node and its context: { parent, path, index }
+// with path being the list of ancestors, starting with the root node
+
+const childsOf = (node) => ( node instanceof NodeWithChilds ? node.childs : [] )
+
+const context = (parent, path, index) => ({ parent, path: ( parent ? [ ...path, parent ] : path ), index })
+
+// depth-first, enter() returning false skips the childs of the node
+function walk(root, visitor) {
+  const { enter, leave } = ( typeof visitor === 'function' ? { enter: visitor } : visitor )
+  const visit = (node, ctx) => {
+    if (! enter || enter(node, ctx) !== false) {
+      childsOf(node).forEach((child, index) => visit(child, context(node, ctx.path, index)))
+    }
+    if (leave) { leave(node, ctx) }
+  }
+  visit(root, context(undefined, [], undefined))
+}
+
+// test is either a node class or a predicate
+const matcher = (test) => (
+  test === Node || test.prototype instanceof Node
+  ? (node) => node instanceof test
+  : test
+)
+
+function* nodes(node, ctx = context(undefined, [], undefined)) {
+  yield [ node, ctx ]
+  const childs = childsOf(node)
+  for (let index = 0; index < childs.length; index++) {
+    yield* nodes(childs[index], context(node, ctx.path, index))
+  }
+}
+
+function find(root, test) {
+  const match = matcher(test)
+  for (const [ node, ctx ] of nodes(root)) {
+    if (match(node, ctx)) { return node }
+  }
+  return undefined
+}
+
+function findAll(root, test) {
+  const match = matcher(test)
+  const out   = []
+  for (const [ node, ctx ] of nodes(root)) {
+    if (match(node, ctx)) { out.push(node) }
+  }
+  return out
+}
+
+// a node with the childs, for more of them than the stack allows as arguments of its constructor
+const withChilds = (node, childs) => {
+  node.childs = childs
+  return node
+}
+
+// copy of a node with other childs, including its source positions and markup
+const copy = (node, childs) => Object.assign(
+  Object.create(Object.getPrototypeOf(node), Object.getOwnPropertyDescriptors(node)),
+  { childs }
+)
+
+// bottom-up, without changing the given tree: the callback is called after the childs are transformed,
+// and returns undefined to keep the node, a node to replace it, an array of nodes or null to remove it.
+// Wrapping a node (e.g. returning new Bold(node)) doesn't visit the node again.
+function transform(root, callback) {
+  const visit = (node, ctx) => {
+    let   out    = node
+    const childs = childsOf(node)
+    if (childs.length) {
+      const changed = []
+      childs.forEach((child, index) => {
+        const result = visit(child, context(node, ctx.path, index))
+        if (Array.isArray(result)) { for (const node of result) { changed.push(node) } }
+        else if (result !== null)  { changed.push(result) }
+      })
+      if (changed.length !== childs.length || changed.some((child, index) => child !== childs[index])) {
+        out = copy(node, changed)
+      }
     }
+    const result = callback(out, ctx)
+    return ( result === undefined ? out : result )
   }
+  return visit(root, context(undefined, [], undefined))
 }
 
 
@@ -45,12 +226,13 @@ class NodeWithChilds extends Node {
     this.childs = childs
   }
   get length() { return this.childs.length }
-  toString()   { return transform.call(this, child => child.toString(), ', ') }
-  toText()     { return transform.call(this, child => child.toText())         }
-  toHTML()     { return transform.call(this, child => child.toHTML())         }
-  toJSON()     { return undefined                                             }
-  toLatex()    { return transform.call(this, child => child.toLatex())        }
-  toMarkdown() { return transform.call(this, child => child.toMarkdown())     }
+  toString()          { return join.call(this, child => child.toString(), ', ')       }
+  toText()            { return join.call(this, child => child.toText())               }
+  toHTML(context)     { return join.call(this, child => child.toHTML(context))        }
+  toJSON()            { return undefined                                              }
+  toLatex(context)    { return join.call(this, child => child.toLatex(context))       }
+  toMarkdown(context) { return join.call(this, child => child.toMarkdown(context))    }
+  toWikitext()        { return join.call(this, child => child.toWikitext())           }
 }
 
 
@@ -59,60 +241,536 @@ class Text extends Node {
     super()
     this.text = text
   }
+  // text is the wikitext, the renderers use its characters with decoded entities
   toString()   { return `Text("${ this.text }")` }
-  toText()     { return this.text }
-  toHTML()     { return this.text }
-  toJSON()     { return this.text }
-  toLatex()    { return this.text }
-  toMarkdown() { return this.text }
+  toText()     { return decode.entities(this.text)     }
+  toHTML()     { return escape.html(this.toText())     }
+  toJSON()     { return this.toText()                  }
+  toLatex()    { return escape.latex(this.toText())    }
+  toMarkdown() { return escape.markdown(this.toText()) }
+  // markup: nowiki for text inside of <nowiki>, trail and prefix for the texts of links (see Link.toWikitext)
+  toWikitext() {
+    if (this.markup === 'nowiki') { return ( this.text ? `<nowiki>${ this.text }</nowiki>` : '<nowiki/>' ) }
+    return this.text
+  }
 }
 
 
 class Sentence extends NodeWithChilds {
   toString() { return 'Sentence(' + super.toString() + ')' }
-  toHTML() { return `<span class="sentence">${ super.toHTML() }</span>` }
-  toJSON() {
-    const node2json = node => node.toJSON()
-    // TODO: dates
-    // TODO: numbers
-    const links  = search.call(this, (node) => node instanceof Link).map(node2json).toArray()
-    const bold   = search.call(this, (node) => node instanceof Bold).map(node2json).toArray()
-    const italic = search.call(this, (node) => node instanceof Italic).map(node2json).toArray()
+  // references are numbered by the sentence, if it isn't part of a document
+  toHTML(context) {
+    return withReferences.call(this, 'toHTML', context, context => `<span class="sentence">${ super.toHTML(context) }</span>`)
+  }
+  toLatex(context)    { return withReferences.call(this, 'toLatex',    context, context => super.toLatex(context))    }
+  toMarkdown(context) { return withReferences.call(this, 'toMarkdown', context, context => super.toMarkdown(context)) }
+  // markup: the whitespace after the sentence, if it was split from the following one by segment()
+  toWikitext()    { return super.toWikitext() + ( this.markup || '' ) }
+  toJSON(context) {
+    const node2json = node => node.toJSON(context)
+    // nodes that are part of the text, and links that aren't (categories, files and languages)
+    const hidden    = (node) => ( node instanceof Link && node.isMetadata ) || node instanceof Reference
+    const visible   = (test) => (node, { path }) => node instanceof test && ! [ ...path, node ].some(hidden)
+    const metadata  = (test) => (node) => node instanceof Link && node.isMetadata && test(node)
+    const links      = findAll(this, visible(Link)).map(node2json)
+    const bold       = findAll(this, visible(Bold)).map(node2json)
+    const italic     = findAll(this, visible(Italic)).map(node2json)
+    const templates  = findAll(this, visible(Template)).map(node2json)
+    const refs       = findAll(this, Reference).map(node2json)
+    const categories = findAll(this, metadata(link => link.namespace === 'Category')).map(link => link.page)
+    const files      = findAll(this, metadata(link => link.namespace === 'File')).map(node2json)
+    const languages  = findAll(this, metadata(link => !! link.language)).map(node2json)
+      .map(({ language, page, anchor }) => ( anchor === undefined ? { language, page } : { language, page, anchor } ))
+    // dates and numbers in the formats of the language of context.language or of the wiki
+    const text       = this.toText()
+    const format     = Sentence.formats[( context && context.language ) || Link.language]
+    // all of them contain digits
+    const digits     = !! format && /\d/.test(text)
+    const dates      = ( digits ? datesOf(text, format) : [] )
+    const numbers    = ( digits ? numbersOf(text, format, dates) : [] )
     const out = {
-      text: this.toText(),
+      text,
     }
-    if (links.length)  { out.links = links }
-    if (bold.length)   { out.formatting = { bold } }
-    if (italic.length) { out.formatting = { ...(out.formatting|| {}), italic } }
+    if (links.length)      { out.links = links }
+    if (bold.length)       { out.formatting = { bold } }
+    if (italic.length)     { out.formatting = { ...(out.formatting|| {}), italic } }
+    if (templates.length)  { out.templates = templates }
+    if (categories.length) { out.categories = categories }
+    if (files.length)      { out.files = files }
+    if (languages.length)  { out.languages = languages }
+    if (refs.length)       { out.references = refs }
+    if (dates.length)      { out.dates = dates }
+    if (numbers.length)    { out.numbers = numbers }
     return out
   }
 }
 
 
+// dates and numbers in the text of a sentence, in the formats of its language (see Sentence.formats):
+// { text, start, end, value } with the offsets of text in sentence.toText().
+// Dates are normalized to the Extended Date/Time Format of ISO 8601-2, with their year, month and day as numbers:
+// 2020-03-17, 2020-03, XXXX-03-17 without a year, 199X for the 1990s and -1199~ for c. 1200 BC (the year 0 is 1 BC).
+// Numbers have an optional unit or currency, and their values are multiplied by scales like million.
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+// longer alternatives first, so that BCE isn't matched as BC
+const alternatives = (list) => [ ...list ].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')
+const isolated     = (source) => new RegExp(`(?<![\\p{L}\\p{N}])(?:${ source })(?![\\p{L}\\p{N}])`, 'gu')
+
+// matches of the regexes that don't overlap, the longest one of those that start first
+function matches(text, regexes) {
+  let end = 0
+  return regexes.flatMap(regex => [ ...text.matchAll(regex) ])
+    .sort((a, b) => a.index - b.index || b[0].length - a[0].length)
+    .filter(match => ( match.index >= end ? (end = match.index + match[0].length, true) : false ))
+}
+
+// the regexes of a format, made once for each format and again after a change of it or of the units and currencies
+const patterns = new WeakMap()
+function patternsOf(format) {
+  const key  = JSON.stringify([ format, Sentence.units, Sentence.currencies ])
+  const last = patterns.get(format)
+  if (last && last.key === key) { return last }
+  const out = { key, ...datePatterns(format), number: numberPattern(format) }
+  patterns.set(format, out)
+  return out
+}
+
+// days of a month, with February 29 in the leap years of the Gregorian calendar and without a year
+const leap   = (year) => year % 4 === 0 && ( year % 100 !== 0 || year % 400 === 0 )
+const daysOf = (month, year) => (
+    month === 2                     ? ( year === undefined || leap(year) ? 29 : 28 )
+  : [ 4, 6, 9, 11 ].includes(month) ? 30
+  : 31
+)
+
+function datePatterns(format) {
+  const months = {}
+  format.months.forEach((names, index) => names.forEach(name => { months[name] = index + 1 }))
+  const of     = ( format.of.length ? `(?:(?:${ alternatives(format.of) })\\s)?` : '' )
+  const month  = `(?<month>${ alternatives(Object.keys(months)) })`
+  const day    = `(?<day>\\d{1,2})(?:${ alternatives(format.ordinals) })?`
+  const era    = `(?<era>${ alternatives([ ...format.bc, ...format.ad ]) })`
+  const circa  = `(?:(?<circa>${ alternatives(format.circa) })\\s?)?`
+  const year   = `(?<year>\\d{1,4})(?:\\s?${ era })?`
+  const regexes = [
+    `${ circa }${ month }\\s${ day },?\\s${ year }`,
+    `${ circa }${ day }\\s${ of }${ month },?\\s${ year }`,
+    `${ circa }${ month },?\\s(?<monthYear>\\d{3,4})`,
+    `${ month }\\s${ day }`,
+    `${ day }\\s${ of }${ month }`,
+    `(?<isoYear>\\d{4})-(?<isoMonth>\\d{2})-(?<isoDay>\\d{2})`,
+    ...( format.numeric ? [ '(?<numericDay>\\d{1,2})\\.\\s?(?<numericMonth>\\d{1,2})\\.\\s?(?<numericYear>\\d{4})' ] : [] ),
+    `${ circa }(?<decade>\\d{2,3}0)(?:${ alternatives(format.decades) })`,
+    `${ circa }(?<eraYear>\\d{1,4})\\s?${ era }`,
+    `${ circa }(?:${ alternatives(format.ad) })\\s(?<adYear>\\d{1,4})`,
+    `(?<circa>${ alternatives(format.circa) })\\s?(?<circaYear>\\d{3,4})`,
+  ].map(isolated)
+  return { months, dates: regexes }
+}
+
+function datesOf(text, format) {
+  const { months, dates: regexes } = patternsOf(format)
+  const pad = (value, length = 2) => String(Math.abs(value)).padStart(length, '0')
+  return matches(text, regexes).flatMap(match => {
+    const groups = match.groups
+    const number = (...names) => names.filter(name => groups[name]).map(name => Number(groups[name]))[0]
+    let   year   = number('year', 'monthYear', 'isoYear', 'numericYear', 'eraYear', 'adYear', 'circaYear', 'decade')
+    const month  = ( groups.month ? months[groups.month] : number('isoMonth', 'numericMonth') )
+    const day    = number('day', 'isoDay', 'numericDay')
+    if (format.bc.includes(groups.era)) { year = 1 - year }
+    if (month < 1 || month > 12 || day < 1 || day > daysOf(month, year)) { return [] }
+    const value = [
+      ( year === undefined ? 'XXXX' : ( year < 0 ? '-' : '' ) + ( groups.decade ? pad(year / 10, 3) + 'X' : pad(year, 4) ) ),
+      ...( month ? [ pad(month) ] : [] ),
+      ...( day   ? [ pad(day)   ] : [] ),
+    ].join('-') + ( groups.circa ? '~' : '' )
+    const date = { text: match[0], start: match.index, end: match.index + match[0].length, value }
+    if (year  !== undefined) { date.year  = year  }
+    if (month !== undefined) { date.month = month }
+    if (day   !== undefined) { date.day   = day   }
+    return [ date ]
+  })
+}
+
+function numberPattern(format) {
+  const currencies = alternatives(Sentence.currencies)
+  return isolated(
+      `(?<![.,]|&#x?)(?<sign>[-−+])?(?:(?<currency>${ currencies })\\s?)?`
+    + `(?<integer>\\d{1,3}(?:(?:${ alternatives(format.group) })\\d{3})+|\\d+)`
+    + `(?:${ escapeRegExp(format.decimal) }(?<fraction>\\d+))?`
+    + `(?:\\s?(?<scale>${ alternatives(Object.keys(format.scales)) }))?`
+    + `(?:\\s?(?<unit>${ alternatives(Sentence.units) }|${ currencies }))?`
+  )
+}
+
+// numbers that aren't part of the dates
+function numbersOf(text, format, dates) {
+  return matches(text, [ patternsOf(format).number ])
+    .filter(match => ! dates.some(date => match.index < date.end && match.index + match[0].length > date.start))
+    .map(match => {
+      const { sign, currency, integer, fraction, scale, unit } = match.groups
+      const value  = Number(integer.replace(/\D/g, '') + '.' + ( fraction || '0' ))
+        * ( scale ? format.scales[scale] : 1 ) * ( sign === '-' || sign === '−' ? -1 : 1 )
+      const number = { text: match[0], start: match.index, end: match.index + match[0].length, value }
+      if (unit || currency) { number.unit = unit || currency }
+      return number
+    })
+}
+
+// formats of dates and numbers per language: names and abbreviations of the months, ordinal suffixes of days,
+// words between a day and a month, suffixes of decades, eras before and after Christ, words for circa,
+// whether there are numeric dates (17.03.2020), the separators of the thousands and the decimals, and scales
+Sentence.formats = {
+  en : {
+    months   : [
+      [ 'January', 'Jan.', 'Jan' ], [ 'February', 'Feb.', 'Feb' ], [ 'March', 'Mar.', 'Mar' ], [ 'April', 'Apr.', 'Apr' ],
+      [ 'May' ], [ 'June', 'Jun.', 'Jun' ], [ 'July', 'Jul.', 'Jul' ], [ 'August', 'Aug.', 'Aug' ],
+      [ 'September', 'Sept.', 'Sep.', 'Sept', 'Sep' ], [ 'October', 'Oct.', 'Oct' ], [ 'November', 'Nov.', 'Nov' ],
+      [ 'December', 'Dec.', 'Dec' ],
+    ],
+    ordinals : [ 'st', 'nd', 'rd', 'th' ],
+    of       : [ 'of' ],
+    decades  : [ 's', '\'s' ],
+    bc       : [ 'BC', 'BCE', 'B.C.', 'B.C.E.' ],
+    ad       : [ 'AD', 'CE', 'A.D.', 'C.E.' ],
+    circa    : [ 'c.', 'ca.', 'circa' ],
+    numeric  : false,
+    group    : [ ',', ' ', ' ', ' ' ],
+    decimal  : '.',
+    scales   : { thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12 },
+  },
+  de : {
+    months   : [
+      [ 'Januar', 'Jänner', 'Jan.' ], [ 'Februar', 'Feb.' ], [ 'März' ], [ 'April', 'Apr.' ], [ 'Mai' ], [ 'Juni' ],
+      [ 'Juli' ], [ 'August', 'Aug.' ], [ 'September', 'Sept.', 'Sep.' ], [ 'Oktober', 'Okt.' ], [ 'November', 'Nov.' ],
+      [ 'Dezember', 'Dez.' ],
+    ],
+    ordinals : [ '.' ],
+    of       : [],
+    decades  : [ 'er', 'er-Jahre', 'er-Jahren', 'er Jahre', 'er Jahren' ],
+    bc       : [ 'v. Chr.', 'v.Chr.', 'vor Christus', 'v. u. Z.' ],
+    ad       : [ 'n. Chr.', 'n.Chr.', 'nach Christus', 'u. Z.' ],
+    circa    : [ 'ca.', 'um', 'etwa', 'circa' ],
+    numeric  : true,
+    group    : [ '.', ' ', ' ', ' ' ],
+    decimal  : ',',
+    scales   : {
+      'Tausend': 1e3, 'Mio.': 1e6, 'Million': 1e6, 'Millionen': 1e6, 'Mrd.': 1e9, 'Milliarde': 1e9, 'Milliarden': 1e9,
+      'Billion': 1e12, 'Billionen': 1e12,
+    },
+  },
+}
+// units and currencies after numbers, currencies can also come before them
+Sentence.units = [
+  '%', '‰', '°C', '°F', '°', 'km²', 'm²', 'ha', 'km/h', 'm/s', 'mph', 'km', 'm', 'cm', 'mm', 'mi', 'ft',
+  'kg', 'g', 't', 'lb', 'l', 'ml', 'kWh', 'kW', 'MW', 'GW', 'W', 'V', 'Hz', 'kHz', 'MHz', 'GHz', 'h', 'min', 's',
+]
+Sentence.currencies = [ '$', 'US$', '€', '£', '¥', 'EUR', 'USD', 'GBP', 'CHF' ]
+
+
 class Italic extends NodeWithChilds {
-  toString()   { return 'Italic(' + super.toString() + ')' }
-  toHTML()     { return `<i>${ super.toHTML() }</i>`       }
-  toJSON()     { return this.toText()                      }
-  toLatex()    { return `\\textit{${ super.toLatex() }}`   }
-  toMarkdown() { return `*${ super.toMarkdown() }*`        }
+  toString()          { return 'Italic(' + super.toString() + ')'        }
+  toHTML(context)     { return `<i>${ super.toHTML(context) }</i>`       }
+  toJSON()            { return this.toText()                             }
+  toLatex(context)    { return `\\textit{${ super.toLatex(context) }}`   }
+  toMarkdown(context) { return `*${ super.toMarkdown(context) }*`        }
+  toWikitext() {
+    return ( this.markup === '<i>' ? `<i>${ super.toWikitext() }</i>` : `''${ super.toWikitext() }''` )
+  }
 }
 
 
 class Bold extends NodeWithChilds {
-  toString()   { return 'Bold(' + super.toString() + ')' }
-  toHTML()     { return `<b>${ super.toHTML() }</b>`     }
-  toJSON()     { return this.toText()                    }
-  toLatex()    { return `\\textbf{${ super.toLatex() }}` }
-  toMarkdown() { return `**${ super.toMarkdown() }**`    }
+  toString()          { return 'Bold(' + super.toString() + ')'        }
+  toHTML(context)     { return `<b>${ super.toHTML(context) }</b>`     }
+  toJSON()            { return this.toText()                           }
+  toLatex(context)    { return `\\textbf{${ super.toLatex(context) }}` }
+  toMarkdown(context) { return `**${ super.toMarkdown(context) }**`    }
+  toWikitext() {
+    return ( this.markup === '<b>' ? `<b>${ super.toWikitext() }</b>` : `'''${ super.toWikitext() }'''` )
+  }
 }
 
 
-function internalLink() {
-  // TODO: interwiki linking
-  // TODO: just-anchor links [[#history]] need the current Page as context, which needs to come from outside the parser
-  return './'
-    + this.target.substr(0, 1).toUpperCase()
-    + this.target.substr(1).replace(/ /g, '_')
+// inline html tags of the allowlist HtmlElement.tags: <sup>, <span style="…">, <br/>, …
+// attributes are a map of the lower case names to their values (an empty string for attributes without value)
+class HtmlElement extends NodeWithChilds {
+  constructor(tag, attributes = {}, ...childs) {
+    super(...childs)
+    this.tag        = tag
+    this.attributes = attributes
+  }
+
+  // html of the tag with the attributes of the allowlist HtmlElement.attributes
+  openTag() {
+    const attributes = Object.keys(this.attributes)
+      .filter(name => HtmlElement.attributes.includes(name))
+      .filter(name => name !== 'style' || ! /expression|javascript:|url\s*\(/i.test(this.attributes[name]))
+      .map(name => ` ${ name }="${ escape.htmlAttr(this.attributes[name]) }"`)
+      .join('')
+    return `<${ this.tag }${ attributes }>`
+  }
+
+  toString() {
+    return 'HtmlElement("' + this.tag + '", ' + JSON.stringify(this.attributes) + (this.length ? ', ' + super.toString() : '') + ')'
+  }
+  toText()            { return elementFormat.call(this, 'toText',     super.toText())            }
+  toJSON()            { return this.toText()                                                     }
+  toLatex(context)    { return elementFormat.call(this, 'toLatex',    super.toLatex(context))    }
+  toMarkdown(context) { return elementFormat.call(this, 'toMarkdown', super.toMarkdown(context)) }
+  toHTML(context) {
+    const format = HtmlElement.tags[this.tag] || {}
+    if (format.void) { return this.openTag() }
+    return elementFormat.call(this, 'toHTML', this.openTag() + super.toHTML(context) + `</${ this.tag }>`, context)
+  }
+
+  // markup: the opening tag as written
+  toWikitext() {
+    const format = HtmlElement.tags[this.tag] || {}
+    const open   = this.markup || `<${ this.tag }${ format.void ? '/' : '' }>`
+    return ( format.void ? open : open + super.toWikitext() + `</${ this.tag }>` )
+  }
+}
+
+// renderers of the tags, each with the element, its rendered content (or html tag) and the render context
+function elementFormat(method, content, context) {
+  const format = HtmlElement.tags[this.tag] || {}
+  return ( format[method] ? format[method](this, content, context) : content )
+}
+
+const passthrough = (element, content) => element.openTag() + content + `</${ element.tag }>`
+const underline   = { toLatex: (element, content) => `\\underline{${ content }}`, toMarkdown: passthrough }
+const strike      = { toLatex: (element, content) => `\\sout{${ content }}`,      toMarkdown: (element, content) => `~~${ content }~~` }
+const emphasis    = { toLatex: (element, content) => `\\emph{${ content }}`,      toMarkdown: (element, content) => `*${ content }*` }
+const code        = {
+  toLatex    : (element, content) => `\\texttt{${ content }}`,
+  toMarkdown : (element) => {
+    const text  = element.toText()
+    const ticks = ( text.includes('`') ? '``' : '`' )
+    return ticks + ( ticks.length > 1 ? ` ${ text } ` : text ) + ticks
+  },
+}
+
+HtmlElement.tags = {
+  u      : underline,
+  ins    : underline,
+  s      : strike,
+  del    : strike,
+  strike : strike,
+  sup    : { toLatex: (element, content) => `\\textsuperscript{${ content }}`, toMarkdown: passthrough },
+  sub    : { toLatex: (element, content) => `\\textsubscript{${ content }}`,   toMarkdown: passthrough },
+  small  : { toLatex: (element, content) => `{\\small ${ content }}`,          toMarkdown: passthrough },
+  big    : { toLatex: (element, content) => `{\\large ${ content }}`,          toMarkdown: passthrough },
+  // preformatted text without markup inside, see the pre token of the lexer
+  pre    : {
+    toLatex    : (element) => `\\begin{verbatim}\n${ element.toText() }\n\\end{verbatim}`,
+    toMarkdown : (element) => '```\n' + element.toText() + '\n```',
+  },
+  code   : code,
+  tt     : code,
+  kbd    : code,
+  samp   : code,
+  em     : emphasis,
+  var    : emphasis,
+  cite   : emphasis,
+  dfn    : emphasis,
+  strong : { toLatex: (element, content) => `\\textbf{${ content }}`, toMarkdown: (element, content) => `**${ content }**` },
+  q      : { toText: (element, content) => `"${ content }"`, toLatex: (element, content) => `\`\`${ content }''`, toMarkdown: (element, content) => `"${ content }"` },
+  abbr   : { toMarkdown: passthrough },
+  mark   : { toMarkdown: passthrough },
+  span   : {},
+  br     : { void: true, toText: () => '\n', toLatex: () => '\\newline{}', toMarkdown: () => '<br>' },
+}
+// attributes in the html output
+HtmlElement.attributes = [ 'title', 'class', 'id', 'lang', 'dir', 'style' ]
+
+
+// footnotes: <ref>text</ref>, <ref name="x">text</ref> and the reuse of a named one with <ref name="x"/>
+class Reference extends NodeWithChilds {
+  // name is undefined for unnamed references
+  constructor(name, ...childs) {
+    super(...childs)
+    this.name = name
+  }
+  toString() { return 'Reference(' + JSON.stringify(this.name) + (this.length ? ', ' + super.toString() : '') + ')' }
+  toText()   { return '' }
+
+  // the note of the reference, numbered by the document or sentence that is rendered
+  note(context = {}) { return ( context.references || [] ).find(note => note.nodes.includes(this)) }
+
+  toHTML(context) {
+    const { number } = this.note(context) || {}
+    return `<sup class="reference"><a href="#cite-note-${ number }">[${ number }]</a></sup>`
+  }
+
+  // a reuse of a named reference is only its name
+  toJSON(context) {
+    if (! this.length) { return { name: this.name } }
+    const out = withChilds(new Sentence(), this.childs).toJSON(context)
+    return ( this.name !== undefined ? { name: this.name, ...out } : out )
+  }
+
+  // the first use of a named reference has the footnote, its reuses only refer to it
+  toLatex(context) {
+    const note = this.note(context)
+    if (! note) { return `\\footnote{${ super.toLatex(context) }}` }
+    return ( note.nodes[0] === this ? `\\footnote{${ note.reference.toContent('toLatex', context) }}` : `\\footnotemark[${ note.number }]` )
+  }
+
+  toMarkdown(context) { return `[^${ ( this.note(context) || {} ).number }]` }
+
+  // the content of the references, e.g. of a named reference that is used before it has its content
+  toContent(method, context) { return join.call(this, child => child[method](context)) }
+
+  // markup: the opening tag as written
+  toWikitext() {
+    const open = this.markup || ( this.name !== undefined ? `<ref name="${ this.name }"` : '<ref' ) + ( this.length ? '>' : '/>' )
+    return ( open.endsWith('/>') ? open : open + super.toWikitext() + '</ref>' )
+  }
+}
+
+// numbered notes of the references inside of a document or sentence: { number, name, reference, nodes },
+// with the reference that has the content and all references that use the note
+function references(root) {
+  const notes = []
+  for (const node of findAll(root, Reference)) {
+    const note = ( node.name !== undefined ? notes.find(note => note.name === node.name) : undefined )
+    if (note) {
+      note.nodes.push(node)
+      if (! note.reference.length) { note.reference = node }
+    }
+    else {
+      notes.push({ number: notes.length + 1, name: node.name, reference: node, nodes: [ node ] })
+    }
+  }
+  return notes
+}
+
+// renders the root of the numbering with the notes in the context, followed by the list of the notes
+const referenceLists = {
+  toHTML     : (notes, context) => '<ol class="references">'
+    + notes.map(note => `<li id="cite-note-${ note.number }">${ note.reference.toContent('toHTML', context) }</li>`).join('')
+    + '</ol>',
+  toMarkdown : (notes, context) => notes.map(note => `[^${ note.number }]: ${ note.reference.toContent('toMarkdown', context) }`).join('\n'),
+}
+
+function withReferences(method, context = {}, render) {
+  if (context.references) { return render(context) }
+  const notes = references(this)
+  const inner = { ...context, references: notes }
+  const list  = ( notes.length && referenceLists[method] ? referenceLists[method](notes, inner) : '' )
+  return render(inner) + ( list ? ( method === 'toHTML' ? '\n' : '\n\n' ) + list : '' )
+}
+
+
+// <math> formulas, the tex is kept as it is
+class Formula extends Node {
+  constructor(tex) {
+    super()
+    this.tex = tex
+  }
+  toString()      { return `Formula(${ JSON.stringify(this.tex) })` }
+  toText()        { return this.tex                                 }
+  toHTML(context) { return Formula.html(this.tex, this, context)    }
+  toJSON()        { return this.tex                                 }
+  toLatex()       { return `$${ this.tex }$`                        }
+  toMarkdown()    { return `$${ this.tex }$`                        }
+  // markup: the opening tag as written
+  toWikitext() { return ( this.markup || '<math>' ) + this.tex + '</math>' }
+}
+// html of a formula, e.g. for MathJax or KaTeX
+Formula.html = (tex) => `<span class="math">\\(${ escape.html(tex) }\\)</span>`
+
+
+// <!-- comments --> as they are written, with the line breaks of lines of comments (see parseDocument),
+// they are only written back to the wikitext
+class Comment extends Node {
+  constructor(text) {
+    super()
+    this.text = text
+  }
+  toString()   { return `Comment(${ JSON.stringify(this.text) })` }
+  toJSON()     { return undefined }
+  // markup: 'trail' after a heading (see Heading.toWikitext), or the whitespace after a comment between blocks
+  toWikitext() { return this.text + ( this.markup !== 'trail' && this.markup || '' ) }
+}
+
+
+// prefixes of link targets: [[:Category:Foo]], [[de:Haus]], [[wikt:house]], [[w:en:Foo]]
+// interwiki prefixes come first, followed by a language, namespaces are only known for local pages
+function resolve(target, context = {}) {
+  const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key)
+  const out = { colon: false }
+  let rest  = decode.percent(decode.entities(target)).trim()
+  if (rest.startsWith(':')) {
+    out.colon = true
+    rest = rest.substr(1)
+  }
+  let match
+  while ((match = /^([^:#]*):(.*)$/.exec(rest))) {
+    const prefix = match[1].trim().toLowerCase().replace(/[\s_]+/g, ' ')
+    if (! out.interwiki && ! out.language && has(Link.interwiki, prefix)) {
+      out.interwiki = prefix
+    }
+    else if (! out.language && Link.languages.includes(prefix)) {
+      out.language = prefix
+    }
+    else if (! out.interwiki && ! out.language && has(Link.namespaces, prefix)) {
+      out.namespace = Link.namespaces[prefix]
+      rest = match[2]
+      break
+    }
+    else {
+      break
+    }
+    rest = match[2]
+  }
+  const [ page, ...anchor ] = rest.split('#')
+  // runs of whitespace and underscores are a single space
+  out.page   = page.replace(/[\s_]+/g, ' ').trim() || undefined
+  out.anchor = ( anchor.length ? anchor.join('#').replace(/[\s_]+/g, ' ').trim() : undefined )
+  // relative to the current page: [[#anchor]], [[/subpage]], [[../sibling]]
+  if (context.page && ! out.interwiki && ! out.language && ! out.namespace) {
+    if (out.page === undefined) {
+      out.page = ( out.anchor !== undefined ? context.page : undefined )
+    }
+    else if (out.page.startsWith('/')) {
+      out.page = context.page + out.page.replace(/\/$/, '')
+    }
+    else if (out.page.startsWith('../')) {
+      const parts = context.page.split('/')
+      let   rel   = out.page
+      while (rel.startsWith('../') && parts.length > 1) {
+        parts.pop()
+        rel = rel.substr(3)
+      }
+      out.page = [ ...parts, rel ].join('/').replace(/\/$/, '')
+    }
+  }
+  // the first letter is upper case, unless the wiki is case sensitive
+  if (out.page && ! Link.caseSensitive.includes(out.interwiki || Link.project)) {
+    const [ first, ...chars ] = out.page
+    out.page = first.toUpperCase() + chars.join('')
+  }
+  return out
+}
+
+
+function internalLink(context = {}) {
+  const { interwiki, language, namespace, page = '', anchor } = resolve(this.target, context)
+  const fragment = ( anchor !== undefined ? '#' + escape.anchor(anchor) : '' )
+  if (interwiki || language) {
+    return Link.interwiki[interwiki || Link.project]
+      .replace('$lang', language || Link.language)
+      .replace('$1', escape.title(page))
+      + fragment
+  }
+  // anchor on the current page
+  if (! page) { return fragment }
+  return ( context.baseUrl !== undefined ? context.baseUrl : './' )
+    + escape.title(( namespace ? namespace + ':' : '' ) + page)
+    + fragment
 }
 
 
@@ -123,31 +781,55 @@ class Link extends NodeWithChilds {
   }
 
   // TODO optimize by caching the result(s)
-  get isExternal() { return /^[a-z]+:\/\//.test(this.target) }
-  get href()   { return ( this.isExternal ? this.target : internalLink.call(this) )}
-  get site()   { return ( this.isExternal ? this.target : undefined ) }
-  get page()   { return ( this.isExternal ? undefined   : this.target.replace(/#[^#]*$/, '') || undefined ) }
-  get anchor() {
-    const tail = this.target.replace(/^[^#]+/, '')
-    return ( tail ? tail.substr(1) : undefined)
+  // only the schemes of Link.protocols, other targets like javascript:// are titles of pages
+  get isExternal() { return new RegExp(`^(?:(?:${ Link.protocols.join('|') }):)?\\/\\/|^mailto:`, 'i').test(this.target) }
+  get href()      { return this.url() }
+  get site()      { return ( this.isExternal ? this.target : undefined ) }
+  get page()      { return ( this.isExternal ? undefined   : resolve(this.target).page      ) }
+  get anchor()    { return ( this.isExternal ? undefined   : resolve(this.target).anchor    ) }
+  get namespace() { return ( this.isExternal ? undefined   : resolve(this.target).namespace ) }
+  get interwiki() { return ( this.isExternal ? undefined   : resolve(this.target).interwiki ) }
+  get language()  { return ( this.isExternal ? undefined   : resolve(this.target).language  ) }
+  get type()      { return ( this.isExternal ? 'external'  : this.interwiki || this.language ? 'interwiki' : 'internal' ) }
+
+  // categories, files and links to the same page in other languages aren't part of the text,
+  // unless the link starts with a colon: [[:Category:Foo]]
+  get isMetadata() {
+    if (this.isExternal) { return false }
+    const { colon, interwiki, language, namespace } = resolve(this.target)
+    return ! colon && ! interwiki && ( !! language || namespace === 'Category' || namespace === 'File' )
   }
 
+  // href of the link in the render context
+  url(context = {}) {
+    const custom = ( context.hrefFor ? context.hrefFor(this, context) : undefined )
+    if (custom !== undefined) { return custom }
+    return ( this.isExternal ? this.target : internalLink.call(this, context) )
+  }
+
+  toText() { return ( this.isMetadata ? '' : super.toText() ) }
+
   toString() {
     return 'Link("' + this.target + '", ' + super.toString() + ')'
   }
 
-  toHTML() {
-    const classes = 'link' + (this.isExternal ? ' external' : '')
-    return `<a class="${ classes }" href="${ this.href }">${ super.toHTML() }</a>`
+  toHTML(context) {
+    if (this.isMetadata) { return '' }
+    const classes = 'link' + ( this.type !== 'internal' ? ' ' + this.type : '' )
+    return `<a class="${ classes }" href="${ escape.htmlAttr(this.url(context)) }">${ super.toHTML(context) }</a>`
   }
 
-  toJSON() {
+  toJSON(context) {
+    const { page, anchor } = ( this.isExternal ? {} : resolve(this.target, context) )
     const out = {
-      type   : ( this.isExternal ? 'external' : 'internal' ),
-      text   : this.toText(),
-      site   : this.site,
-      page   : this.page,
-      anchor : this.anchor,
+      type      : this.type,
+      text      : super.toText(),
+      site      : this.site,
+      interwiki : this.interwiki,
+      language  : this.language,
+      namespace : this.namespace,
+      page      : page,
+      anchor    : anchor,
     }
     for (const key in out) {
       if (out[key] === undefined) {
@@ -157,13 +839,397 @@ class Link extends NodeWithChilds {
     return out
   }
 
-  toLatex() {
-    return `\\href{${ this.href }}{${ super.toLatex() }}`
+  toLatex(context) {
+    if (this.isMetadata) { return '' }
+    return `\\href{${ escape.latexUrl(this.url(context)) }}{${ super.toLatex(context) }}`
+  }
+
+  toMarkdown(context) {
+    if (this.isMetadata) { return '' }
+    return `[${ super.toMarkdown(context) }](${ escape.markdownUrl(this.url(context)) })`
+  }
+
+  // markup: '[[' without and '[[|' with explicit text, '[]' without text (numbered),
+  // '[' followed by the whitespace before the text, 'url' for bare urls.
+  // Texts with the markup 'prefix' and 'trail' are written in front of and after the link.
+  toWikitext() {
+    const [ first ] = this.childs
+    const last      = this.childs[this.length - 1]
+    const prefix    = ( first && first.markup === 'prefix' ? first : undefined )
+    const trail     = ( last  && last.markup  === 'trail' && last !== prefix ? last : undefined )
+    if (prefix || trail) {
+      const link = copy(this, this.childs.filter(child => child !== prefix && child !== trail))
+      return ( prefix ? prefix.text : '' ) + link.toWikitext() + ( trail ? trail.text : '' )
+    }
+    const text   = super.toWikitext()
+    const markup = this.markup || ( this.isExternal ? '[ ' : '[[' )
+    // the target is the text without comments: [[Foo<!-- c -->]]
+    const plain  = this.childs.filter(child => ! (child instanceof Comment)).map(child => child.toWikitext()).join('')
+    if (markup === 'url' && text === this.target)   { return this.target }
+    if (markup === '[]'  && /^\[\d+\]$/.test(text)) { return `[${ this.target }]` }
+    if (markup === '[['  && [ plain, ':' + plain ].includes(this.target)) { return `[[${ this.target.substr(0, this.target.length - plain.length) }${ text }]]` }
+    if (markup.startsWith('[[') || ! this.isExternal) { return `[[${ this.target }|${ text }]]` }
+    const separator = ( /^\[\s*$/.test(markup) ? markup.substr(1) : ' ' )
+    return `[${ this.target }${ separator }${ text }]`
+  }
+}
+// schemes of external links, followed by //, besides // alone and mailto:
+Link.protocols  = [ 'https?', 'ftps?', 'irc', 'news', 'git', 'svn', 'ssh', 'sftp' ]
+// language of the wiki
+Link.language   = 'en'
+// interwiki prefix of the project of the wiki, used for links to other languages
+Link.project    = 'w'
+// projects whose titles can start with a lower case letter, identified by their interwiki prefix
+Link.caseSensitive = [ 'wikt', 'wiktionary' ]
+// urls of interwiki prefixes, $1 is replaced by the page and $lang by the language
+Link.interwiki  = {
+  w           : 'https://$lang.wikipedia.org/wiki/$1',
+  wikt        : 'https://$lang.wiktionary.org/wiki/$1',
+  wiktionary  : 'https://$lang.wiktionary.org/wiki/$1',
+  q           : 'https://$lang.wikiquote.org/wiki/$1',
+  wikiquote   : 'https://$lang.wikiquote.org/wiki/$1',
+  s           : 'https://$lang.wikisource.org/wiki/$1',
+  wikisource  : 'https://$lang.wikisource.org/wiki/$1',
+  b           : 'https://$lang.wikibooks.org/wiki/$1',
+  wikibooks   : 'https://$lang.wikibooks.org/wiki/$1',
+  n           : 'https://$lang.wikinews.org/wiki/$1',
+  wikinews    : 'https://$lang.wikinews.org/wiki/$1',
+  v           : 'https://$lang.wikiversity.org/wiki/$1',
+  wikiversity : 'https://$lang.wikiversity.org/wiki/$1',
+  voy         : 'https://$lang.wikivoyage.org/wiki/$1',
+  wikivoyage  : 'https://$lang.wikivoyage.org/wiki/$1',
+  c           : 'https://commons.wikimedia.org/wiki/$1',
+  commons     : 'https://commons.wikimedia.org/wiki/$1',
+  m           : 'https://meta.wikimedia.org/wiki/$1',
+  meta        : 'https://meta.wikimedia.org/wiki/$1',
+  d           : 'https://www.wikidata.org/wiki/$1',
+  wikidata    : 'https://www.wikidata.org/wiki/$1',
+  species     : 'https://species.wikimedia.org/wiki/$1',
+  mw          : 'https://www.mediawiki.org/wiki/$1',
+}
+// characters of link trails and link prefixes per language, as regex character classes:
+// [[bus]]es is a link to bus with the text buses
+Link.trails     = {
+  en : 'a-z',
+  de : 'a-zäöüß',
+  fr : 'a-zàâçéèêîôûäëïöüùæœ',
+  es : 'a-záéíóúñ',
+  it : 'a-zàéèíîìóòúù',
+  nl : 'a-zäöüïëéèà',
+  pt : 'a-záâãàéêçíóôõúü',
+  sv : 'a-zåäöéÅÄÖÉ',
+}
+Link.prefixes   = {}
+// language prefixes of links to the same page in other languages
+Link.languages  = (
+    'af als am an ar ast az be bg bn br bs ca cs cy da de el en eo es et eu fa fi fr fy ga gl gu he hi hr hu hy '
+  + 'id io is it ja ka kk km kn ko ku la lb lt lv mk ml mn mr ms my nds ne nl nn no oc pa pl pt ro ru sco sh si '
+  + 'simple sk sl sq sr sv sw ta te th tl tr tt uk ur uz vi wa yi zh zh-yue'
+).split(' ')
+// namespace prefixes (lower case) and their canonical names
+Link.namespaces = {
+  'talk'           : 'Talk',
+  'user'           : 'User',
+  'user talk'      : 'User talk',
+  'wikipedia'      : 'Wikipedia',
+  'project'        : 'Project',
+  'file'           : 'File',
+  'image'          : 'File',
+  'media'          : 'Media',
+  'mediawiki'      : 'MediaWiki',
+  'template'       : 'Template',
+  'template talk'  : 'Template talk',
+  'help'           : 'Help',
+  'category'       : 'Category',
+  'category talk'  : 'Category talk',
+  'portal'         : 'Portal',
+  'draft'          : 'Draft',
+  'special'        : 'Special',
+}
+
+
+class Parameter extends NodeWithChilds {
+  // name is the position (starting at 1) for unnamed parameters
+  constructor(name, ...childs) {
+    super(...childs)
+    this.name = name
+  }
+  toString() { return 'Parameter(' + JSON.stringify(this.name) + (this.length ? ', ' + super.toString() : '') + ')' }
+  toJSON()   { return this.toText() }
+
+  // markup: the name of a named parameter as written, e.g. with spaces around it
+  toWikitext() {
+    if (typeof this.name === 'number') { return super.toWikitext() }
+    const name = ( this.markup && this.markup.trim() === this.name ? this.markup : this.name )
+    return name + '=' + super.toWikitext()
   }
+}
+
+
+// custom output for specific templates, indexed by template name:
+// Template.formats.lang = { toText: (tpl) => tpl.param(2).toText() }
+function templateFormat(method, context, fallback) {
+  const formats = Template.formats
+  const name    = this.name.substr(0, 1).toLowerCase() + this.name.substr(1).replace(/_/g, ' ')
+  const format  = formats[this.name] || formats[name]
+  return ( format && format[method] ? format[method](this, context) : fallback() )
+}
 
-  toMarkdown() {
-    return `[${ super.toMarkdown() }](${ this.href })`
+
+class Template extends NodeWithChilds {
+  constructor(name, ...params) {
+    super(...params)
+    this.name = name
+  }
+
+  get params() { return this.childs.filter(param => typeof param.name === 'number') }
+  get named()  {
+    return this.childs
+      .filter(param => typeof param.name !== 'number')
+      .reduce((out, param) => Object.assign(out, { [param.name]: param }), {})
   }
+  param(name)  { return this.childs.find(param => String(param.name) === String(name)) }
+
+  toString() {
+    return 'Template("' + this.name + '"' + (this.length ? ', ' + super.toString() : '') + ')'
+  }
+
+  toText() { return templateFormat.call(this, 'toText', undefined, () => '') }
+
+  toHTML(context) {
+    return templateFormat.call(this, 'toHTML', context, () => `<span class="template" data-template="${ escape.htmlAttr(this.name) }"></span>`)
+  }
+
+  toJSON(context) {
+    return templateFormat.call(this, 'toJSON', context, () => {
+      const out    = { name: this.name }
+      const params = this.params.map(param => param.toJSON())
+      const named  = Object.values(this.named)
+      if (params.length) { out.params = params }
+      if (named.length)  { out.named  = named.reduce((o, param) => Object.assign(o, { [param.name]: param.toJSON() }), {}) }
+      return out
+    })
+  }
+
+  toLatex(context)    { return templateFormat.call(this, 'toLatex',    context, () => '') }
+  toMarkdown(context) { return templateFormat.call(this, 'toMarkdown', context, () => '') }
+
+  // markup: the template name as written, e.g. with spaces around it
+  toWikitext() {
+    const name = ( this.markup && this.markup.trim() === this.name ? this.markup : this.name )
+    return '{{' + name + this.childs.map(param => '|' + param.toWikitext()).join('') + '}}'
+  }
+}
+Template.formats = {}
+
+
+// block level nodes of a whole page: Document > Section > Heading, Paragraph > Sentence, List > ListItem, HorizontalRule, Comment
+
+// blocks without output (e.g. a paragraph of a template) are left out
+function blocks(transform, join) {
+  return this.childs.map(transform).filter(out => out).join(join)
+}
+
+// wikitext of blocks, which end with their markup, the whitespace after them (see parseDocument),
+// or are followed by an empty line without it
+const wikitextOf = (blocks) => blocks.reduce((out, block, index) => (
+  out + block.toWikitext() + ( block.markup === undefined && index < blocks.length - 1 ? '\n\n' : '' )
+), '')
+
+class Document extends NodeWithChilds {
+  toString()          { return 'Document(' + super.toString() + ')'                         }
+  toText()            { return blocks.call(this, child => child.toText(), '\n\n')            }
+  // markup: the whitespace before the first block
+  toWikitext()        { return ( this.markup || '' ) + wikitextOf(this.childs)                 }
+
+  // references are numbered by the document
+  toHTML(context) {
+    return withReferences.call(this, 'toHTML', context, context => blocks.call(this, child => child.toHTML(context), '\n'))
+  }
+  toLatex(context) {
+    return withReferences.call(this, 'toLatex', context, context => blocks.call(this, child => child.toLatex(context), '\n\n'))
+  }
+  toMarkdown(context) {
+    return withReferences.call(this, 'toMarkdown', context, context => blocks.call(this, child => child.toMarkdown(context), '\n\n'))
+  }
+
+  // sections in the order of the page, with the blocks before the first heading as a section without title
+  toJSON(context) {
+    const lead     = withChilds(new Section(), this.childs.filter(child => ! (child instanceof Section))).toJSON(context)
+    const sections = findAll(this, Section).map(section => section.toJSON(context))
+    return { sections: ( lead.paragraphs || lead.lists ? [ lead, ...sections ] : sections ) }
+  }
+}
+
+
+class Section extends NodeWithChilds {
+  get heading() { return this.childs.find(child => child instanceof Heading) }
+  get level()   { return ( this.heading ? this.heading.level : 0 ) }
+
+  toString()          { return 'Section(' + super.toString() + ')'                          }
+  toText()            { return blocks.call(this, child => child.toText(), '\n\n')            }
+  toHTML(context)     { return `<section>${ blocks.call(this, child => child.toHTML(context), '\n') }</section>` }
+  toLatex(context)    { return blocks.call(this, child => child.toLatex(context), '\n\n')    }
+  toMarkdown(context) { return blocks.call(this, child => child.toMarkdown(context), '\n\n') }
+
+  // without the subsections, see Document.toJSON
+  toJSON(context) {
+    const out        = { title: ( this.heading ? this.heading.toText() : '' ), level: this.level }
+    const paragraphs = this.childs.filter(child => child instanceof Paragraph).map(child => child.toJSON(context))
+    const lists      = this.childs.filter(child => child instanceof List).map(child => child.toJSON(context))
+    if (paragraphs.length) { out.paragraphs = paragraphs }
+    if (lists.length)      { out.lists = lists }
+    return out
+  }
+
+  // the heading is on its own line, followed by the content. markup: the whitespace after the heading
+  toWikitext() {
+    const [ heading, ...rest ] = this.childs
+    if (! (heading instanceof Heading)) { return wikitextOf(this.childs) }
+    return heading.toWikitext() + ( this.markup !== undefined ? this.markup : rest.length ? '\n' : '' ) + wikitextOf(rest)
+  }
+}
+
+
+const latexHeadings = [ 'section', 'section', 'subsection', 'subsubsection', 'paragraph', 'subparagraph' ]
+
+class Heading extends NodeWithChilds {
+  // level is the number of equal signs: == Foo == is 2
+  constructor(level, ...childs) {
+    super(...childs)
+    this.level = level
+  }
+  toString()          { return 'Heading(' + this.level + (this.length ? ', ' + super.toString() : '') + ')' }
+  toHTML(context)     { return `<h${ this.level }>${ super.toHTML(context) }</h${ this.level }>` }
+  toJSON()            { return this.toText() }
+  toLatex(context)    { return `\\${ latexHeadings[this.level - 1] }{${ super.toLatex(context) }}` }
+  toMarkdown(context) { return '#'.repeat(this.level) + ' ' + super.toMarkdown(context) }
+
+  // markup: the equal signs with the whitespace after them, e.g. '== '
+  // a comment with the markup 'trail' is written after the closing equal signs: == Foo == <!-- c -->
+  toWikitext() {
+    const open   = ( this.markup && this.markup.trim() === '='.repeat(this.level) ? this.markup : '='.repeat(this.level) + ' ' )
+    const last   = this.childs[this.length - 1]
+    const trail  = ( last instanceof Comment && last.markup === 'trail' ? last : undefined )
+    const inner  = this.childs.filter(child => child !== trail).map(child => child.toWikitext()).join('')
+    return open + inner + open.split('').reverse().join('') + ( trail ? trail.text : '' )
+  }
+}
+
+
+class Paragraph extends NodeWithChilds {
+  // sentences are separated by a space, see segment()
+  toString()          { return 'Paragraph(' + super.toString() + ')' }
+  toText()            { return join.call(this, child => child.toText(), ' ') }
+  toHTML(context)     { return `<p>${ join.call(this, child => child.toHTML(context), ' ') }</p>` }
+  toLatex(context)    { return join.call(this, child => child.toLatex(context), ' ') }
+  toMarkdown(context) { return join.call(this, child => child.toMarkdown(context), ' ') }
+  toJSON(context) { return { sentences: this.childs.map(child => child.toJSON(context)) } }
+  // markup: the whitespace after the paragraph
+  toWikitext()        { return super.toWikitext() + ( this.markup || '' ) }
+}
+
+
+const listTags   = { bullet: 'ul',      numbered: 'ol',        definition: 'dl'          }
+const latexLists = { bullet: 'itemize', numbered: 'enumerate', definition: 'description' }
+
+class List extends NodeWithChilds {
+  // type is bullet (*), numbered (#) or definition (; and :)
+  constructor(type, ...items) {
+    super(...items)
+    this.type = type
+  }
+  toString()      { return 'List("' + this.type + '"' + (this.length ? ', ' + super.toString() : '') + ')' }
+  toText()        { return join.call(this, item => item.toText(), '\n') }
+  toHTML(context) { return `<${ listTags[this.type] }>${ super.toHTML(context) }</${ listTags[this.type] }>` }
+
+  // the items of nested lists are part of the list
+  toJSON(context) {
+    return this.childs.flatMap(item => [ item.toJSON(context), ...item.lists.flatMap(list => list.toJSON(context)) ])
+  }
+
+  toLatex(context) {
+    const env = latexLists[this.type]
+    return `\\begin{${ env }}\n${ join.call(this, item => item.toLatex(context), '\n') }\n\\end{${ env }}`
+  }
+
+  // nested lists are indented by the width of the marker
+  toMarkdown(context) {
+    return this.childs
+      .map((item, index) => {
+        const marker = (
+            this.type === 'bullet'   ? '- '
+          : this.type === 'numbered' ? (index + 1) + '. '
+          : item.marker === ':'      ? ': '
+          : ''
+        )
+        return marker + item.toMarkdown(context).replace(/\n/g, '\n' + ' '.repeat(marker.length))
+      })
+      .join('\n')
+  }
+
+  // prefix: the markers of the outer lists, definitions on the line of their term follow it directly.
+  // markup: the whitespace after the list
+  toWikitext(prefix = '') {
+    return this.childs.reduce((out, item, index) => (
+      out + ( index && ! item.isInline ? '\n' : '' ) + item.toWikitext(prefix)
+    ), '') + ( this.markup || '' )
+  }
+}
+
+
+class ListItem extends NodeWithChilds {
+  // marker is *, # or ; for a term and : for its definition
+  constructor(marker, ...childs) {
+    super(...childs)
+    this.marker = marker
+  }
+  get lists()    { return this.childs.filter(child => child instanceof List) }
+  get inline()   { return this.childs.filter(child => ! (child instanceof List)) }
+  // a definition on the line of its term: ; term : definition
+  get isInline() { return this.marker === ':' && /:/.test(this.markup || '') }
+
+  toString() { return 'ListItem("' + this.marker + '"' + (this.length ? ', ' + super.toString() : '') + ')' }
+  toText()   { return join.call(this, child => ( child instanceof List ? '\n' : '' ) + child.toText()) }
+
+  toHTML(context) {
+    const tag = ( this.marker === ';' ? 'dt' : this.marker === ':' ? 'dd' : 'li' )
+    return `<${ tag }>${ super.toHTML(context) }</${ tag }>`
+  }
+
+  toJSON(context) { return withChilds(new Sentence(), this.inline).toJSON(context) }
+
+  toLatex(context) {
+    const inline = this.inline.map(child => child.toLatex(context)).join('')
+    const lists  = this.lists.map(list => '\n' + list.toLatex(context)).join('')
+    return ( this.marker === ';' ? `\\item[${ inline }]` : `\\item ${ inline }` ) + lists
+  }
+
+  toMarkdown(context) {
+    return join.call(this, child => ( child instanceof List ? '\n' : '' ) + child.toMarkdown(context))
+  }
+
+  // markup: the whitespace after the markers, or around the colon of a definition on the line of its term.
+  // Items without text only contain nested lists
+  toWikitext(prefix = '') {
+    const markers = prefix + this.marker
+    const inline  = this.inline.map(child => child.toWikitext()).join('')
+    const lists   = this.lists.map(list => list.toWikitext(markers))
+    const space   = ( this.markup !== undefined ? this.markup : ' ' )
+    const line    = ( this.isInline ? space + inline : markers + space + inline )
+    return [ ...( inline || ! lists.length ? [ line ] : [] ), ...lists ].join('\n')
+  }
+}
+
+
+class HorizontalRule extends Node {
+  toString()   { return 'HorizontalRule()' }
+  toHTML()     { return '<hr>' }
+  toJSON()     { return undefined }
+  toLatex()    { return '\\noindent\\rule{\\linewidth}{0.4pt}' }
+  toMarkdown() { return '---' }
+  // markup: the line of the dashes, four or more, with the whitespace after it
+  toWikitext() { return this.markup || '----' }
 }
 
 
@@ -172,10 +1238,25 @@ const s = (...childs) => new Sentence(...childs)
 const i = (...childs) => new Italic(...childs)
 const b = (...childs) => new Bold(...childs)
 const a = (target, ...childs) => new Link(target, ...childs)
+const el    = (tag, attributes, ...childs) => new HtmlElement(tag, attributes, ...childs)
+const ref   = (name, ...childs)  => new Reference(name, ...childs)
+const tpl   = (name, ...params)  => new Template(name, ...params)
+const param = (name, ...childs)  => new Parameter(name, ...childs)
+const doc     = (...childs)         => new Document(...childs)
+const section = (...childs)         => new Section(...childs)
+const h       = (level, ...childs)  => new Heading(level, ...childs)
+const p       = (...childs)         => new Paragraph(...childs)
+const list    = (type, ...items)    => new List(type, ...items)
+const li      = (marker, ...childs) => new ListItem(marker, ...childs)
+const hr      = ()                  => new HorizontalRule()
 
 
 module.exports = {
+  escape, decode,
+  walk, find, findAll, transform, copy, withChilds, references,
   Node, NodeWithChilds,
-  Text, Sentence, Italic, Bold, Link,
-  t, s, i, b, a,
+  Text, Sentence, Italic, Bold, HtmlElement, Reference, Formula, Comment, Link, Template, Parameter,
+  Document, Section, Heading, Paragraph, List, ListItem, HorizontalRule,
+  t, s, i, b, a, el, ref, tpl, param,
+  doc, section, h, p, list, li, hr,
 }
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+'use strict'
+
+const fs = require('fs')
+const { compile, parse, parseDocument, optimize } = require('./parser')
+
+
+// command line tool: wikitext of files or stdin => text, html, markdown, latex, json or the ast
+// Exits with 1 if the parser reported diagnostics, which are written to stderr,
+// and with 2 for invalid arguments, files that can't be read or inputs that can't be converted.
+
+const usage = `Usage: wtf-ast [options] [file …]
+
+Reads wikitext from the files, or from stdin without files or for -, and writes it in another format.
+
+Options:
+  -f, --format <format>        text, html, markdown, latex, json or ast (default: text)
+  -l, --lines                  every line is a sentence of its own, with its output on a line
+  -t, --tokens                 writes the tokens of the lexer as json, one per line
+  -o, --optimize               optimizes the ast with the default options
+      --optimize-<name>[=val]  option of optimize, e.g. --optimize-nested-links=inner
+                               or --optimize-combine-texts=false, implies --optimize
+  -h, --help                   shows this help
+`
+
+const formats = {
+  text     : (ast) => ast.toText(),
+  html     : (ast) => ast.toHTML(),
+  markdown : (ast) => ast.toMarkdown(),
+  latex    : (ast) => ast.toLatex(),
+  json     : (ast, lines) => ( lines ? JSON.stringify(ast) : JSON.stringify(ast, null, 2) ),
+  ast      : (ast) => ast.toString(),
+}
+
+// camelCase of a kebab-case name
+const camel = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())
+
+// option values of optimize: lists of passes, booleans and the strategies of nested links
+function optimizeValue(name, value) {
+  const option = '--optimize-' + name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase())
+  if (name === 'passes') {
+    const passes  = ( value || '' ).split(',').filter(Boolean)
+    const unknown = passes.find(pass => ! optimize.passes.hasOwnProperty(pass))
+    if (! passes.length) { throw new Error(`${ option } needs a list of passes`) }
+    if (unknown)         { throw new Error(`unknown pass ${ unknown } of ${ option }`) }
+    return passes
+  }
+  const out   = ( value === undefined || value === 'true' ? true : value === 'false' ? false : value )
+  const valid = ( name === 'nestedLinks' ? [ 'outer', 'inner', 'keep', true, false ] : [ true, false ] )
+  if (! valid.includes(out)) { throw new Error(`invalid value ${ value } of ${ option }`) }
+  return out
+}
+
+function options(args) {
+  const out = { format: 'text', lines: false, tokens: false, optimize: undefined, files: [], help: false }
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '-' || ! arg.startsWith('-')) {
+      out.files.push(arg)
+      continue
+    }
+    const [ , name, value ] = /^([^=]*)(?:=(.*))?$/.exec(arg)
+    if (name === '-f' || name === '--format') {
+      out.format = ( value !== undefined ? value : args[++i] )
+      if (! formats.hasOwnProperty(out.format)) { throw new Error(`unknown format ${ out.format }`) }
+    }
+    else if (name === '-l' || name === '--lines')    { out.lines  = true }
+    else if (name === '-t' || name === '--tokens')   { out.tokens = true }
+    else if (name === '-h' || name === '--help')     { out.help   = true }
+    else if (name === '-o' || name === '--optimize') { out.optimize = out.optimize || {} }
+    else if (name.startsWith('--optimize-')) {
+      const option = camel(name.substr('--optimize-'.length))
+      if (! optimize.defaults.hasOwnProperty(option)) { throw new Error(`unknown option ${ name }`) }
+      out.optimize = Object.assign(out.optimize || {}, { [option]: optimizeValue(option, value) })
+    }
+    else { throw new Error(`unknown option ${ name }`) }
+  }
+  if (! out.files.length) { out.files.push('-') }
+  return out
+}
+
+async function read(file, stdin) {
+  if (file !== '-') { return fs.promises.readFile(file, 'utf8') }
+  let out = ''
+  stdin.setEncoding('utf8')
+  for await (const chunk of stdin) { out += chunk }
+  return out
+}
+
+// line and column of a position, starting at 1
+function location(input, pos) {
+  const lines = input.substring(0, pos).split('\n')
+  return [ lines.length, lines[lines.length - 1].length + 1 ]
+}
+
+// output of a wikitext, and its diagnostics as messages
+function convert(input, config, sentence) {
+  if (config.tokens) {
+    return { output: compile(input).map(token => JSON.stringify(token)).join('\n'), messages: [] }
+  }
+  const parsed = ( sentence ? parse : parseDocument )(compile(input))
+  const ast    = ( config.optimize ? optimize(parsed, config.optimize) : parsed )
+  return {
+    output   : formats[config.format](ast, config.lines),
+    messages : parsed.diagnostics.map(({ code, message, pos }) => ({ pos, text: `${ message } (${ code })` })),
+  }
+}
+
+// the exit code of running with the arguments, on the streams { stdin, stdout, stderr }
+async function main(args, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let config
+  try {
+    config = options(args)
+  }
+  catch (error) {
+    stderr.write(`wtf-ast: ${ error.message }\n\n${ usage }`)
+    return 2
+  }
+  if (config.help) {
+    stdout.write(usage)
+    return 0
+  }
+  let code = 0
+  for (const file of config.files) {
+    let input
+    try {
+      input = await read(file, stdin)
+    }
+    catch (error) {
+      stderr.write(`wtf-ast: can't read ${ file }: ${ error.message }\n`)
+      code = 2
+      continue
+    }
+    const name = ( file === '-' ? 'stdin' : file )
+    const runs = ( config.lines ? input.split(/\r?\n/) : [ input ] )
+    if (config.lines && runs[runs.length - 1] === '') { runs.pop() }
+    for (const [ index, text ] of runs.entries()) {
+      let result
+      try {
+        result = convert(text, config, config.lines)
+      }
+      catch (error) {
+        stderr.write(`wtf-ast: ${ name }: ${ error.message }\n`)
+        code = 2
+        continue
+      }
+      const { output, messages } = result
+      stdout.write(output + '\n')
+      for (const { pos, text: message } of messages) {
+        const [ line, column ] = location(text, pos)
+        stderr.write(`${ name }:${ line + ( config.lines ? index : 0 ) }:${ column }: ${ message }\n`)
+        code = Math.max(code, 1)
+      }
+    }
+  }
+  return code
+}
+
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code })
+}
+
+module.exports = { main }
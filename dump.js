@@ -0,0 +1,108 @@
+'use strict'
+
+const { StringDecoder } = require('string_decoder')
+const { addAbortSignal } = require('stream')
+const { compile, parseDocument } = require('./parser')
+const { decode } = require('./classes')
+
+
+// pages of a MediaWiki XML dump, e.g. pages-articles.xml: chunks of xml => { title, ast } for each page
+// See: https://www.mediawiki.org/wiki/Help:Export
+//
+// chunks is an (async) iterable of strings or buffers, like fs.createReadStream(file). They are read
+// as the pages are consumed, and only the page that is read is kept in memory, up to maxPageSize characters.
+// A page that can't be parsed or is too long is { title, error }, and the following pages are read as usual.
+// Breaking the loop or aborting the signal stops reading, and destroys the chunks if they are a stream.
+//
+// options: { parse(text, title), signal, maxPageSize }
+// parse gets the wikitext of a page and returns its ast, by default parseDocument(compile(text)).
+
+const open  = '<page>'
+const close = '</page>'
+
+// content of the first element of a tag, with decoded entities: <text bytes="3" xml:space="preserve">a &amp; b</text>
+function field(xml, tag) {
+  const match = new RegExp(`<${ tag }(?:\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${ tag }>)`).exec(xml)
+  return ( match ? decode.entities(match[1] || '') : undefined )
+}
+
+function record(xml, parse, maxPageSize) {
+  const title = field(xml, 'title')
+  if (xml.length > maxPageSize) {
+    return { title, error: new RangeError(`page is longer than ${ maxPageSize } characters`) }
+  }
+  try {
+    return { title, ast: parse(field(xml, 'text') || '', title) }
+  }
+  catch (error) {
+    return { title, error }
+  }
+}
+
+// the reason of an aborted signal, or an AbortError for node versions without signal.reason
+function aborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason || Object.assign(new Error('The operation was aborted'), { name: 'AbortError' })
+  }
+}
+
+async function* pages(chunks, {
+  parse       = (text) => parseDocument(compile(text)),
+  signal      = undefined,
+  maxPageSize = pages.maxPageSize,
+} = {}) {
+  if (signal && typeof chunks.destroy === 'function') { addAbortSignal(signal, chunks) }
+  const decoder = new StringDecoder('utf8')
+  // xml of the page that is read, whether the rest of a page is skipped as it is too long,
+  // whether a page has started, and the end of the input that might be the start of an end tag
+  let buffer  = ''
+  let skipped = false
+  let started = false
+  let tail    = ''
+
+  const read = function* (text) {
+    // the end tag is searched from where it could begin, not again in what was read before,
+    // and the buffer isn't searched at all until it can contain it, as that copies the whole page
+    const window = tail + text
+    let from     = Math.max(0, buffer.length - close.length)
+    buffer      += text
+    tail         = window.slice(-close.length)
+    if (started && ! window.includes(close) && buffer.length <= maxPageSize) { return }
+    let end
+    while ((end = buffer.indexOf(close, from)) >= 0) {
+      if (! skipped) { yield record(buffer.substring(buffer.indexOf(open), end), parse, maxPageSize) }
+      buffer  = buffer.substring(end + close.length)
+      skipped = false
+      from    = 0
+    }
+    // the start of the next page, or the end of the input that might be the start of its tag
+    const start = buffer.indexOf(open)
+    if (skipped || start < 0) { buffer = buffer.slice(-close.length) }
+    else if (start > 0)       { buffer = buffer.substring(start)     }
+    started = ! skipped && start >= 0
+    if (buffer.length > maxPageSize) {
+      yield record(buffer, parse, maxPageSize)
+      skipped = true
+      started = false
+      buffer  = buffer.slice(-close.length)
+    }
+  }
+
+  for await (const chunk of chunks) {
+    aborted(signal)
+    for (const page of read(( typeof chunk === 'string' ? chunk : decoder.write(chunk) ))) {
+      yield page
+      aborted(signal)
+    }
+  }
+  yield* read(decoder.end())
+  // a page without its end
+  if (! skipped && buffer.includes(open)) {
+    yield { title: field(buffer, 'title'), error: new Error('page is not complete') }
+  }
+}
+
+pages.maxPageSize = 16 * 1024 * 1024
+
+
+module.exports = { pages }
@@ -1,20 +1,146 @@
 'use strict'
 
-const { NodeWithChilds, Text, Sentence, Italic, Bold, Link } = require('./classes')
+const {
+  NodeWithChilds, Text, Sentence, Italic, Bold, HtmlElement, Reference, Formula, Comment, Link, Template, Parameter,
+  Document, Section, Heading, Paragraph, List, ListItem, HorizontalRule,
+  find, transform, copy, withChilds, decode,
+} = require('./classes')
 
 
 // lexical anaylsis: string => tokens
 // see https://blog.mgechev.com/2017/09/16/developing-simple-interpreter-transpiler-compiler-tutorial/
 
-const lexical = /('''''|''''|'''|''|<\/?[bi]>|\[\[|\]\]|\|)/g
+// external links: [http://example.org label], [http://example.org] and bare http://example.org
+const protocol = `(?:(?:${ Link.protocols.join('|') }):)?\\/\\/|mailto:`
+const url      = `(?:${ protocol })(?:(?!'')[^\\s<>"\\[\\]{}|])*`
+const bareUrl  = `(?<!\\[\\[)\\b(?:https?|ftps?):\\/\\/(?:(?!'')[^\\s<>"\\[\\]{}|])*[^\\s<>"\\[\\]{}|.,;:!?'"]`
 
+// case insensitive names of tags, as the regexes don't have flags
+const tag = (name) => name.replace(/[a-z]/g, c => `[${ c }${ c.toUpperCase() }]`)
+// whole tags whose content is not parsed: <nowiki>''</nowiki>
+// the opening tag is matched, compile finds its closing tag by the global regex of closer,
+// without one it's another html tag
+const literal = (name, attributes = '(?:\\s[^<>]*)?') => ({
+  type   : name,
+  match  : new RegExp(`<${ tag(name) }${ attributes }>`),
+  closer : new RegExp(`<\\/${ tag(name) }\\s*>`, 'g'),
+})
+
+// token definitions: { type, match, precedence, closes }
+// match is either a literal string or a RegExp (without flags).
+// Tokens that start at the same position are tried by their precedence, higher first,
+// which defaults to the length of a literal (e.g. ''' before '') and to 0 for a RegExp.
+// Tokens with the same precedence are tried in the order of their definition, after the ones of plugins (see extend).
+// closes is the type of the opening token, for tokens that only close something.
+const tokenTypes = [
+  ..."''''' '''' ''' '' <b> <i> [[ {{ |".split(' ').map(type => ({ type, match: type })),
+  { type: '</b>', match: '</b>', closes: '<b>' },
+  { type: '</i>', match: '</i>', closes: '<i>' },
+  { type: ']]',   match: ']]',   closes: '[[' },
+  { type: '}}',   match: '}}',   closes: '{{' },
+  { type: ']',    match: ']' },
+  // comments are removed, an unclosed one ends with the input
+  { type: 'comment', match: /<!--[\s\S]*?(?:-->|$)/ },
+  { type: 'nowiki',  match: new RegExp(`<${ tag('nowiki') }\\s*\\/>`) },
+  literal('nowiki', '\\s*'),
+  literal('pre'),
+  literal('math'),
+  // footnotes, <ref name="x"/> is a reuse of a named footnote
+  { type: '<ref>',  match: /<[rR][eE][fF](?:[\s/][^<>]*)?>/ },
+  { type: '</ref>', match: /<\/[rR][eE][fF]\s*>/, closes: '<ref>' },
+  // other html tags, see HtmlElement.tags
+  { type: '<tag>',  match: /<[a-zA-Z][a-zA-Z0-9]*(?:[\s/][^<>]*)?>/ },
+  { type: '</tag>', match: /<\/[a-zA-Z][a-zA-Z0-9]*\s*>/, closes: '<tag>' },
+  { type: '[',    match: new RegExp(`\\[${ url }[ \\t]*`) },
+  { type: 'url',  match: new RegExp(bareUrl) },
+]
+
+// letters right before and after a link are part of its text, e.g. [[bus]]es,
+// depending on the character classes of the language of the wiki (see Link.trails and Link.prefixes)
+function linkAffixes() {
+  const trail  = Link.trails[Link.language]
+  const prefix = Link.prefixes[Link.language]
+  return [
+    ...( trail  ? [ { type: 'trail',  match: new RegExp(`(?<=\\]\\])[${ trail }]+`) } ] : [] ),
+    ...( prefix ? [ { type: 'prefix', match: new RegExp(`[${ prefix }]+(?=\\[\\[)`) } ] : [] ),
+  ]
+}
+
+const escapeRegExp = (text) => text.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&')
+
+// the regex of all token definitions, build on first use after a change of them or of the language
+let lexical
+function lexer() {
+  const affixes = linkAffixes()
+  const key     = affixes.map(def => def.match.source).join('|')
+  if (! lexical || lexical.key !== key) {
+    const defs = [ ...[ ...plugins ].reverse().flatMap(plugin => plugin.tokens || []), ...tokenTypes, ...affixes ]
+      .map((def, index) => ({
+        ...def,
+        index,
+        source     : ( def.match instanceof RegExp ? def.match.source : escapeRegExp(def.match) ),
+        precedence : ( def.precedence !== undefined ? def.precedence : def.match instanceof RegExp ? 0 : def.match.length ),
+      }))
+      .sort((a, b) => b.precedence - a.precedence || a.index - b.index)
+    // index of the capture group of each definition, as they may contain groups themselves
+    let group = 1
+    for (const def of defs) {
+      def.group = group
+      group += new RegExp(def.source + '|').exec('').length
+    }
+    lexical = { key, defs, regex: new RegExp(defs.map(def => `(${ def.source })`).join('|'), 'g') }
+  }
+  return lexical
+}
+
+// each call uses its own copy of the regex, as its lastIndex is the state of the scan
 function compile (input) {
+  const { defs, regex: shared } = lexer()
+  const regex   = new RegExp(shared)
   const matches = []
+  // the last search for the closing tags of each literal tag: { from, at, end }, at is -1 if there is none after from,
+  // so that each part of the input is searched once, also for many unclosed tags
+  const closers = new Map()
+  const closer  = (def, from) => {
+    const last = closers.get(def)
+    if (last && last.from <= from && ( last.at < 0 || from <= last.at )) { return last }
+    def.closer.lastIndex = from
+    const match = def.closer.exec(input)
+    const out   = { from, at: ( match ? match.index : -1 ), end: def.closer.lastIndex }
+    closers.set(def, out)
+    return out
+  }
   let match
-  while ((match = lexical.exec(input)) != null) {
+  while ((match = regex.exec(input)) != null) {
+    const def = defs.find(def => match[def.group] !== undefined)
+    let type = def.type
+    let text = match[0]
+    if (def.closer) {
+      const { at, end } = closer(def, regex.lastIndex)
+      if (at < 0) { type = '<tag>' }
+      else {
+        text = input.substring(match.index, end)
+        regex.lastIndex = end
+      }
+    }
+    // trailing parentheses only belong to a bare url, if the url contains the opening ones
+    if (def.type === 'url' && text.endsWith(')')) {
+      const count    = (c) => text.split(c).length - 1
+      const trailing = text.length - text.replace(/\)+$/, '').length
+      const extra    = Math.min(trailing, count(')') - count('('))
+      if (extra > 0) {
+        text = text.slice(0, -extra)
+        regex.lastIndex -= extra
+      }
+    }
+    // ignore empty matches
+    if (! text.length) {
+      regex.lastIndex++
+      continue
+    }
     matches.push({
-      type : match[0],
-      text : match[0],
+      type : type,
+      text : text,
       pos  : match.index,
     })
   }
@@ -43,135 +169,939 @@ function compile (input) {
 }
 
 
+// attributes of html tags: <span class="a" title='b' id=c hidden>
+function attributes(text) {
+  const out   = {}
+  const regex = /([^\s=/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?/g
+  let match
+  while ((match = regex.exec(text)) != null) {
+    const [ , name, double, single, bare ] = match
+    const value = [ double, single, bare ].find(value => value !== undefined)
+    out[name.toLowerCase()] = ( value !== undefined ? decode.entities(value) : '' )
+  }
+  return out
+}
+
+const tagName = (token) => /^<\/?([a-zA-Z][a-zA-Z0-9]*)/.exec(token.text)[1].toLowerCase()
+
+
 // syntax analysis: tokens => AST
 // See: https://blog.klipse.tech/javascript/2017/02/08/tiny-compiler-parser.html
 
-function parse(tokens) {
+// The nodes of each token are appended to the childs, instead of copying them for every token,
+// and nodes get their childs without spreading them into the arguments of the constructor,
+// which is limited by the size of the stack. Both keeps the parser linear for long inputs.
+const append = (out, nodes) => {
+  for (const node of nodes) { out.push(node) }
+  return out
+}
+
+// malformed wikitext is recovered from, and each recovery is reported as a diagnostic:
+// { code, message, pos } with the position of the token inside of the input.
+// In strict mode the first diagnostic is thrown as a ParseError instead.
+class ParseError extends Error {
+  constructor(diagnostic) {
+    super(`${ diagnostic.message } at position ${ diagnostic.pos }`)
+    this.name       = 'ParseError'
+    this.code       = diagnostic.code
+    this.pos        = diagnostic.pos
+    this.diagnostic = diagnostic
+  }
+}
+
+// index of the token that closes the external link of each [ token: the next ] after it, or the next ]]
+// that doesn't end an internal link inside of its text: [http://example.org a [[b]] c]
+// The text of an external link is parsed up to it, so that no token is parsed twice.
+function bracketClosers(tokens) {
+  // internal links
+  const pairs  = new Map()
+  const stack  = []
+  tokens.forEach((token, index) => {
+    if (token.type === '[[') { stack.push(index) }
+    if (token.type === ']]' && stack.length) { pairs.set(stack.pop(), index) }
+  })
+  const ends = new Set(pairs.values())
+  // next ] or ]] without an internal link
+  const next = []
+  for (let index = tokens.length - 1, closer = undefined; index >= 0; index--) {
+    next[index] = closer
+    const { type } = tokens[index]
+    if (type === ']' || (type === ']]' && ! ends.has(index))) { closer = index }
+  }
+  // the end of the internal link around a [ closes it as well: [[a [http://example.org b]]
+  const out   = new Map()
+  const links = []
+  tokens.forEach((token, index) => {
+    if (token.type === '[[' && pairs.has(index)) { links.push(pairs.get(index)) }
+    if (ends.has(index)) { links.pop() }
+    if (token.type === '[') {
+      const closer = Math.min(...[ next[index], links[links.length - 1] ].filter(index => index !== undefined))
+      if (closer !== Infinity) { out.set(index, closer) }
+    }
+  })
+  return out
+}
+
+// Nodes nested deeper than maxDepth are text, as each level is a recursion of the parser and the renderers.
+function parse(tokens, { strict = false, onDiagnostic, maxDepth = parse.maxDepth } = {}) {
   let i = 0
-  const peek    = () => tokens[i]
+  let numbered = 0
+  let depth    = 0
+  const diagnostics = []
+  const report = (code, token, message) => {
+    const diagnostic = { code, message, pos: token.pos }
+    if (strict) { throw new ParseError(diagnostic) }
+    diagnostics.push(diagnostic)
+    if (onDiagnostic) { onDiagnostic(diagnostic) }
+  }
+  // the tokens end early inside of the text of an external link
+  let   limit   = tokens.length
+  const peek    = () => ( i < limit ? tokens[i] : undefined )
   const consume = () => tokens[i++]
+  // source positions
+  const after    = (token) => token.pos + token.text.length
+  const consumed = ()      => after(tokens[i - 1])
+  const range    = (start, end) => ({ start, end })
 
   const parseToken = (token) => {
     const p = parsers[token.type] || parsers.text
-    return p(token)
+    if (depth >= maxDepth && p !== parsers.text && ! closing.has(token.type)) {
+      report('too-deep', token, `${ token.text } is nested too deep`)
+      return parsers.text(token)
+    }
+    depth++
+    try     { return p(token) }
+    finally { depth-- }
   }
 
   const until   = (end, then) => (token) => {
     let childs = []
+    let close
     while (peek()) {
       const x = consume()
-      if (x.type === end) { break }
-      childs = [ ...childs, ...parseToken(x) ]
+      if (x.type === end) { close = x ; break }
+      append(childs, parseToken(x))
     }
-    return ( childs.length ? then(childs) : [] )
+    if (! close)              { report('unclosed', token, `${ token.text } is not closed`) }
+    else if (! childs.length) { report('empty', token, `${ token.text } is empty`) }
+    const outer = range(token.pos, consumed())
+    const inner = range(after(token), ( close ? close.pos : outer.end ))
+    return ( childs.length ? then(childs, outer, inner) : [] )
+  }
+
+  // names of the html tags that are open
+  const tags = []
+  // text of the external link that is open
+  let   label   = undefined
+  const closers = bracketClosers(tokens)
+
+  // closing token without an opening one is text
+  const unexpected = (opening) => (token) => {
+    report('unexpected', token, `${ token.text } without ${ opening }`)
+    return parsers.text(token)
+  }
+
+  // for parsers of plugins
+  const parser = {
+    peek, consume, parseToken, until, report, after, consumed, range,
+    get index()      { return i },
+    set index(index) { i = index },
   }
 
   const parsers = {
-    text : (token) => [ new Text(token.text) ],
+    text : (token) => [ new Text(token.text).setRange(range(token.pos, after(token))) ],
+    comment : (token) => [ new Comment(token.text).setRange(range(token.pos, after(token))) ],
+    // <nowiki/> is an empty text that only separates markup: [[a]]<nowiki/>b
+    nowiki  : (token) => {
+      const [ , open, content = '', close = '' ] = /^(<[^>]*>)([\s\S]*?)(<\/[^>]*>)?$/.exec(token.text)
+      const inner = range(token.pos + open.length, after(token) - close.length)
+      return [ new Text(content).setRange(range(token.pos, after(token)), inner).setMarkup('nowiki') ]
+    },
+    pre     : (token) => {
+      const [ , open, content, close ] = /^(<[^>]*>)([\s\S]*?)(<\/[^>]*>)$/.exec(token.text)
+      const inner = range(token.pos + open.length, after(token) - close.length)
+      const text  = ( content ? [ new Text(content).setRange(inner) ] : [] )
+      return [ new HtmlElement('pre', attributes(open.slice(4, -1)), ...text).setRange(range(token.pos, after(token)), inner).setMarkup(open) ]
+    },
+    math    : (token) => {
+      const [ , open, content, close ] = /^(<[^>]*>)([\s\S]*?)(<\/[^>]*>)$/.exec(token.text)
+      const inner = range(token.pos + open.length, after(token) - close.length)
+      return [ new Formula(content).setRange(range(token.pos, after(token)), inner).setMarkup(open) ]
+    },
+    url  : (token) => {
+      const r = range(token.pos, after(token))
+      return [ new Link(token.text, new Text(token.text).setRange(r)).setRange(r).setMarkup('url') ]
+    },
+    // external links aren't nested, a [ inside of the text of a link is text: [http://a b [http://c d]
+    '['  : (token) => {
+      if (label) { return parsers.text(token) }
+      const target = token.text.substr(1).trim()
+      const url    = range(token.pos + 1, token.pos + 1 + target.length)
+      const close  = closers.get(i - 1)
+      // no closing bracket: not a link, except for a bare url
+      if (close === undefined) {
+        report('unclosed', token, `[ of the external link ${ target } is not closed`)
+        const rest = compile(token.text.substr(1)).map(x => Object.assign(x, { pos: x.pos + url.start }))
+        return [ new Text('[').setRange(range(token.pos, url.start)), ...parse(rest).childs ]
+      }
+      // the text ends with the closing bracket, also for formatting inside of it that isn't closed
+      const outer = limit
+      limit = close
+      label = []
+      while (peek()) {
+        append(label, parseToken(consume()))
+      }
+      limit = outer
+      const x = consume()
+      // numbered link without text
+      const numbers = ! label.length
+      if (numbers) { label = [ new Text('[' + (++numbered) + ']').setRange(url) ] }
+      const link = withChilds(new Link(target), label).setRange(
+        range(token.pos, x.pos + 1),
+        ( numbers ? url : range(after(token), x.pos) )
+      ).setMarkup(numbers ? '[]' : '[' + token.text.substr(url.end - token.pos))
+      label = undefined
+      return ( x.type === ']]' ? [ link, new Text(']').setRange(range(x.pos + 1, after(x))) ] : [ link ] )
+    },
     '[[' : (token) => {
-      let pipe = false
-      let pre  = []
-      let post = []
+      let pipe  = undefined
+      let close = undefined
+      let pre   = []
+      let post  = []
+      let links = false
       while (peek()) {
         const x = consume()
-        if (x.type === '|' ) { pipe = true ; continue }
-        if (x.type === ']]') { break }
-        const parsed = parseToken(x)
-        if (pipe) { post = [ ...post, ...parsed ] }
-        else      { pre  = [ ...pre,  ...parsed ] }
+        if (x.type === ']]') { close = x ; break }
+        // further pipes are part of the text
+        if (x.type === '|' && ! pipe) { pipe = x ; continue }
+        if (! pipe && (x.type === '[[' || x.type === 'prefix')) { links = true }
+        const parsed = ( x.type === '|' ? parsers.text(x) : parseToken(x) )
+        append(( pipe ? post : pre ), parsed)
+      }
+      if (! close) { report('unclosed', token, '[[ is not closed') }
+      // titles don't contain links, as in MediaWiki: [[a [[b]] c]] is text around the inner link
+      if (links) {
+        report('link-in-target', token, 'link inside of the target of a link is text')
+        const text = (x) => new Text(x.text).setRange(range(x.pos, after(x)))
+        const out  = append([ text(token) ], pre)
+        if (pipe)  { append(append(out, [ text(pipe) ]), post) }
+        if (close) { out.push(text(close)) }
+        return out
       }
       // link without text
-      if (pipe && ! post.length) { return [] }
-      // no text for link
-      if (! pipe) { post = pre }
-      // no link
-      if (! pre.length) { return post }
+      if (pipe && ! post.length) {
+        report('link-without-text', token, 'link without text is removed')
+        return []
+      }
+      // no text for link, without the colon of [[:Category:Foo]]
+      if (! pipe) {
+        post = pre
+        const [ first ] = pre
+        if (first instanceof Text && first.text.startsWith(':') && first.text.length > 1) {
+          post = [ new Text(first.text.substr(1)).setRange(range(first.range.start + 1, first.range.end)) ].concat(pre.slice(1))
+        }
+      }
       // link & text
-      const link = pre.map(x => x.toText()).join('')
-      return [ new Link(link, ...post) ]
+      // entities are decoded when the target is resolved, see Link
+      const target = pre.map(x => ( x instanceof Text ? x.text : x.toText() )).join('')
+      // no link, also for targets without text: [[{{a}}|b]]
+      if (! target.trim()) {
+        report('link-without-target', token, 'link without target is text')
+        return post
+      }
+      const link   = withChilds(new Link(target), post).setMarkup(pipe ? '[[|' : '[[')
+      const inner  = range(after(pipe || token), ( close ? close.pos : consumed() ))
+      // link trail: [[bus]]es
+      if (close && peek() && peek().type === 'trail' && ! link.isMetadata) {
+        const trail = consume()
+        link.childs.push(new Text(trail.text).setRange(range(trail.pos, after(trail))).setMarkup('trail'))
+      }
+      return [ link.setRange(range(token.pos, consumed()), inner) ]
+    },
+    // link prefix, the lexer ensures that it is followed by [[
+    prefix : (token) => {
+      const text  = new Text(token.text).setRange(range(token.pos, after(token)))
+      const nodes = ( peek() && peek().type === '[[' ? parseToken(consume()) : [] )
+      const [ link ] = nodes
+      if (nodes.length === 1 && link instanceof Link && ! link.isMetadata) {
+        link.childs.unshift(text.setMarkup('prefix'))
+        return [ link.setRange(range(token.pos, link.range.end), link.innerRange) ]
+      }
+      return [ text, ...nodes ]
+    },
+    '{{' : (token) => {
+      let name   = []
+      let params = []
+      let index  = 0
+      let close  = undefined
+      // the range of a parameter ends with the next pipe or the end of the template
+      let param  = undefined
+      const end  = (pos) => {
+        if (param) { param.node.setRange(range(param.start, pos), range(param.value, pos)) }
+      }
+      while (peek()) {
+        const x = consume()
+        if (x.type === '}}') { close = x ; break }
+        if (x.type === '|' ) {
+          end(x.pos)
+          param = { start: after(x), value: after(x) }
+          // named parameter: {{name|key=value}}
+          const next  = peek()
+          const named = next && next.type === 'text' && /^([^=]*)=/.exec(next.text)
+          if (named) {
+            consume()
+            const rest = next.text.substr(named[0].length)
+            param.value = next.pos + named[0].length
+            param.node  = new Parameter(named[1].trim(), ...(rest ? [ new Text(rest).setRange(range(param.value, after(next))) ] : []))
+              .setMarkup(named[1])
+          }
+          else {
+            param.node = new Parameter(++index)
+          }
+          params.push(param.node)
+          continue
+        }
+        const parsed = parseToken(x)
+        append(( params.length ? params[params.length - 1].childs : name ), parsed)
+      }
+      const outer = range(token.pos, consumed())
+      const inner = range(after(token), ( close ? close.pos : outer.end ))
+      end(inner.end)
+      if (! close) { report('unclosed', token, '{{ is not closed') }
+      const markup = name.map(x => x.toWikitext()).join('')
+      name = name.map(x => x.toText()).join('').trim()
+      // no template name
+      if (! name) {
+        report('template-without-name', token, 'template without name is removed')
+        return []
+      }
+      return [ withChilds(new Template(name), params).setRange(outer, inner).setMarkup(markup) ]
+    },
+    '<b>'   : until('</b>',  (childs, outer, inner) => [ withChilds(new Bold(), childs).setRange(outer, inner).setMarkup('<b>') ]),
+    "'''"   : until("'''",   (childs, outer, inner) => [ withChilds(new Bold(), childs).setRange(outer, inner).setMarkup("'''") ]),
+    "''''"  : until("''''",  (childs, outer, inner) => {
+      // the fourth quotes are text inside of the bold quotes
+      const first = range(inner.start - 1, inner.start)
+      const last  = range(inner.end, Math.min(inner.end + 1, outer.end))
+      return [
+        withChilds(new Bold(), [ new Text("'").setRange(first) ].concat(childs, [ new Text("'").setRange(last) ]))
+          .setRange(outer, range(first.start, last.end))
+          .setMarkup("'''")
+      ]
+    }),
+    "'''''" : until("'''''", (childs, outer, inner) => {
+      const bold = range(outer.start + 2, Math.max(inner.end, outer.end - 2))
+      return [
+        new Italic(withChilds(new Bold(), childs).setRange(bold, inner).setMarkup("'''"))
+          .setRange(outer, bold)
+          .setMarkup("''")
+      ]
+    }),
+    '<i>'   : until('</i>',  (childs, outer, inner) => [ withChilds(new Italic(), childs).setRange(outer, inner).setMarkup('<i>') ]),
+    // tags that aren't in the allowlist are text
+    '<tag>' : (token) => {
+      const name   = tagName(token)
+      const format = HtmlElement.tags[name]
+      if (! format) { return parsers.text(token) }
+      const attrs = attributes(token.text.replace(/^<[a-zA-Z0-9]+|\/?>$/g, ''))
+      if (format.void || token.text.endsWith('/>')) {
+        return [ new HtmlElement(name, attrs).setRange(range(token.pos, after(token))).setMarkup(token.text) ]
+      }
+      let childs = []
+      let close
+      tags.push(name)
+      while (peek()) {
+        const x = consume()
+        if (x.type === '</tag>' && tagName(x) === name) { close = x ; break }
+        // closing tag of an outer element: <sup><u>a</sup>
+        if (x.type === '</tag>' && tags.includes(tagName(x))) { i-- ; break }
+        append(childs, parseToken(x))
+      }
+      tags.pop()
+      if (! close) { report('unclosed', token, `${ token.text } is not closed`) }
+      // empty elements without attributes are removed
+      if (! childs.length && ! Object.keys(attrs).length) {
+        report('empty', token, `${ token.text } is empty`)
+        return []
+      }
+      const outer = range(token.pos, consumed())
+      const inner = range(after(token), ( close ? close.pos : outer.end ))
+      return [ withChilds(new HtmlElement(name, attrs), childs).setRange(outer, inner).setMarkup(token.text) ]
     },
-    '<b>'   : until('</b>',  childs => [ new Bold(...childs)   ]),
-    "'''"   : until("'''",   childs => [ new Bold(...childs)   ]),
-    "''''"  : until("''''",  childs => [ new Bold(new Text("'"), ...childs, new Text("'")) ]),
-    "'''''" : until("'''''", childs => [ new Italic(new Bold(...childs)) ]),
-    '<i>'   : until('</i>',  childs => [ new Italic(...childs) ]),
-    "''"    : until("''",    childs => [ new Italic(...childs) ]),
+    '<ref>' : (token) => {
+      const { name } = attributes(token.text.replace(/^<[a-zA-Z]+|\/?>$/g, ''))
+      if (token.text.endsWith('/>')) {
+        if (name === undefined) {
+          report('empty', token, `${ token.text } is empty`)
+          return []
+        }
+        return [ new Reference(name).setRange(range(token.pos, after(token))).setMarkup(token.text) ]
+      }
+      return until('</ref>', (childs, outer, inner) => [ withChilds(new Reference(name), childs).setRange(outer, inner).setMarkup(token.text) ])(token)
+    },
+    '</tag>' : (token) => ( HtmlElement.tags[tagName(token)] ? unexpected('<' + tagName(token) + '>')(token) : parsers.text(token) ),
+    "''"    : until("''",    (childs, outer, inner) => [ withChilds(new Italic(), childs).setRange(outer, inner).setMarkup("''") ]),
+  }
+  for (const plugin of plugins) {
+    for (const type in plugin.parsers) {
+      parsers[type] = (token) => plugin.parsers[type](token, parser)
+    }
+  }
+  const closing = new Set()
+  for (const { type, closes } of lexer().defs) {
+    if (closes && ! parsers[type]) { parsers[type] = unexpected(closes) }
+    if (closes) { closing.add(type) }
   }
 
-  let out = []
+  const out = []
   while (peek()) {
-    out = [ ...out, ...parseToken(consume()) ]
+    append(out, parseToken(consume()))
   }
-  return new Sentence(...out)
+  const all = ( tokens.length ? range(tokens[0].pos, after(tokens[tokens.length - 1])) : range(0, 0) )
+  const sentence = withChilds(new Sentence(), out).setRange(all)
+  Object.defineProperty(sentence, 'diagnostics', { value: diagnostics })
+  return sentence
 }
 
-// optimize ast
-// remove tags inside tags and combine following texts
+parse.maxDepth = 100
 
-const optimize_conf = {
-  combineTexts   : true,
-  combineItalics : true,
-  combineBolds   : true,
-  nestedLinks    : true,
-  nestedItalics  : true,
-  nestedBolds    : true,
-}
 
-const _optimize_combine = (conf, ctx, classy, combine) => (out, node) => {
-  // skip
-  if (
-       (classy === Text   && ! conf.combineTexts  )
-    || (classy === Italic && ! conf.combineItalics)
-    || (classy === Bold   && ! conf.combineBolds  )
-  ) {
-    return [ ...out, node ]
+// block structure of a whole page: tokens => Document
+// Blocks are lines of the input: headings (== Foo ==), lists (*, #, ; and :), horizontal rules (----)
+// and paragraphs, which are separated by empty lines. The inline content of each block is parsed with parse().
+// Templates span several lines: {{Infobox\n|name=Foo\n}}
+
+// lines of tokens: { tokens, start, end, newline } with the text token of the line break at the end
+const multiline = { '{{': '}}', '<ref>': '</ref>' }
+
+function lines(tokens) {
+  // only templates and references that are closed contain line breaks
+  const open   = []
+  const closed = new Set()
+  for (const token of tokens) {
+    if (multiline[token.type] && ! token.text.endsWith('/>')) { open.push(token) }
+    const last = open[open.length - 1]
+    if (last && multiline[last.type] === token.type) { closed.add(open.pop()).add(token) }
+  }
+  const out = []
+  let line  = { tokens: [], start: ( tokens.length ? tokens[0].pos : 0 ) }
+  let depth = 0
+  for (const token of tokens) {
+    if (closed.has(token)) { depth += ( multiline[token.type] ? 1 : -1 ) }
+    if (token.type !== 'text' || depth) {
+      line.tokens.push(token)
+      continue
+    }
+    let pos = token.pos
+    token.text.split('\n').forEach((text, index) => {
+      if (index) {
+        line.end     = pos - 1
+        line.newline = { type: 'text', text: '\n', pos: pos - 1 }
+        out.push(line)
+        line = { tokens: [], start: pos }
+      }
+      if (text) { line.tokens.push({ type: 'text', text, pos }) }
+      pos += text.length + 1
+    })
   }
+  line.end = ( line.tokens.length ? after(line.tokens[line.tokens.length - 1]) : line.start )
+  out.push(line)
+  // comments are spaces in the text of the line, to keep the positions inside of it
+  return out.map(line => Object.assign(line, {
+    text     : line.tokens.map(token => ( token.type === 'comment' ? ' '.repeat(token.text.length) : token.text )).join(''),
+    comments : line.tokens.some(token => token.type === 'comment'),
+  }))
+}
+
+const after = (token) => token.pos + token.text.length
+
+// line of comments, and maybe spaces
+const isComments = (line) => line.comments && ! line.text.trim()
+
+// tokens between two positions, cutting the tokens at the ends
+const cut = (tokens, start, end) => tokens.flatMap(token => {
+  const from = Math.max(start, token.pos)
+  const to   = Math.min(end, after(token))
+  if (from >= to) { return [] }
+  if (from === token.pos && to === after(token)) { return [ token ] }
+  return [ { type: 'text', text: token.text.substr(from - token.pos, to - from), pos: from } ]
+})
 
+// following text tokens are one
+const mergeTexts = (tokens) => tokens.reduce((out, token) => {
   const last = out[out.length - 1]
-  return (
-       last instanceof classy
-    && node instanceof classy
-    ? [ ...out.slice(0, -1), optimize(combine(last, node), conf, ctx) ]
-    : [ ...out, node ]
-  )
+  if (last && last.type === 'text' && token.type === 'text' && after(last) === token.pos) {
+    out[out.length - 1] = { ...last, text: last.text + token.text }
+  }
+  else {
+    out.push(token)
+  }
+  return out
+}, [])
+
+// position of the colon of a term with its definition on the same line: ; term : definition
+function definition(tokens) {
+  let depth = 0
+  for (const token of tokens) {
+    if (token.type === '[[' || token.type === '{{') { depth++ }
+    if (token.type === ']]' || token.type === '}}') { depth = Math.max(0, depth - 1) }
+    if (token.type === 'text' && ! depth && token.text.includes(':')) {
+      return token.pos + token.text.indexOf(':')
+    }
+  }
+  return undefined
 }
 
-function optimize(ast, config = {}, context = {}) {
-  // no children
-  if (! (ast instanceof NodeWithChilds)) {
-    return ast
-  }
-  const conf = Object.assign({}, optimize_conf, config)
-  // modify context
-  const ctx = Object.assign({}, context)
-  if (conf.nestedLinks   && ast instanceof Link)   { ctx.link   = true }
-  if (conf.nestedItalics && ast instanceof Italic) { ctx.italic = true }
-  if (conf.nestedBolds   && ast instanceof Bold)   { ctx.bold   = true }
-
-  ast.childs = ast.childs
-    // remove tags inside tags
-    .reduce(
-      (out, node) => (
-           (ctx.link   && node instanceof Link) // TODO: wikipedia and markdown do ignore the outer link and not the inner link. Unsure what to do here, see tests.js for alternatives.
-        || (ctx.italic && node instanceof Italic)
-        || (ctx.bold   && node instanceof Bold)
-        ? [ ...out, ...node.childs ]
-        : [ ...out, node ]
-      ),
-      []
-    )
-    // recursive optimize
-    .map(node => optimize(node, conf, ctx))
-    // combine following texts
-    .reduce(_optimize_combine(conf, ctx, Text,   (a, b) => new Text(a.text + b.text)), [])
-    // combine following italics
-    .reduce(_optimize_combine(conf, ctx, Italic, (a, b) => new Italic(...a.childs, ...b.childs)), [])
-    // combine following bolds
-    .reduce(_optimize_combine(conf, ctx, Bold,   (a, b) => new Bold(...a.childs, ...b.childs)), [])
-  return ast
+const listTypes = { '*': 'bullet', '#': 'numbered', ';': 'definition', ':': 'definition' }
+
+function parseDocument(tokens, options = {}) {
+  const diagnostics = []
+  const range  = (start, end) => ({ start, end })
+  const inline = (tokens) => {
+    const sentence = parse(mergeTexts(tokens), options)
+    for (const diagnostic of sentence.diagnostics) { diagnostics.push(diagnostic) }
+    return sentence
+  }
+
+  const document = new Document()
+  // open sections, starting with the document itself
+  let sections  = [ document ]
+  let paragraph = []
+  let lists     = []
+  const append  = (node) => {
+    sections[sections.length - 1].childs.push(node)
+    return node
+  }
+  // sections end with their last block
+  const extend  = (end) => {
+    for (const section of sections.slice(1)) { section.setRange(range(section.range.start, end)) }
+  }
+
+  // lines of comments are one comment with the line break before them, so that they aren't part of the text
+  const commentLine = (line, newline) => ({ type: 'comment', text: '\n' + line.tokens.map(token => token.text).join(''), pos: newline.pos })
+  const comment     = (token) => new Comment(token.text).setRange(range(token.pos, after(token)))
+  const endParagraph = () => {
+    if (paragraph.length) {
+      const tokens = paragraph.flatMap((line, index) => [
+        ...( isComments(line) ? [ commentLine(line, paragraph[index - 1].newline) ] : line.tokens ),
+        ...( index < paragraph.length - 1 && ! isComments(paragraph[index + 1]) ? [ line.newline ] : [] ),
+      ])
+      const start = paragraph[0].start
+      const end   = paragraph[paragraph.length - 1].end
+      append(new Paragraph(inline(tokens)).setRange(range(start, end)))
+    }
+    paragraph = []
+  }
+
+  // lists are nested by their markers: ** is an item of a list inside of the last item of a * list
+  const listItem = (markers, space, tokens, start, end) => {
+    let depth = 0
+    while (depth < lists.length && depth < markers.length && lists[depth].type === listTypes[markers[depth]]) {
+      depth++
+    }
+    lists = lists.slice(0, depth)
+    for (let level = depth; level < markers.length; level++) {
+      const list = new List(listTypes[markers[level]]).setRange(range(start, end))
+      if (! level) {
+        append(list)
+      }
+      else {
+        const parent = lists[level - 1]
+        if (! parent.length) { parent.childs.push(new ListItem(markers[level - 1]).setRange(range(start, start))) }
+        parent.childs[parent.length - 1].childs.push(list)
+      }
+      lists.push(list)
+    }
+    const item = withChilds(new ListItem(markers[markers.length - 1]), inline(tokens).childs)
+      .setRange(range(start, end), range(( tokens.length ? tokens[0].pos : end ), end))
+      .setMarkup(space)
+    lists[lists.length - 1].childs.push(item)
+    // outer lists and items end with this item
+    lists.forEach((list, level) => {
+      list.setRange(range(list.range.start, end))
+      if (level < lists.length - 1) {
+        const last = list.childs[list.length - 1]
+        last.setRange(range(last.range.start, end), last.innerRange)
+      }
+    })
+  }
+
+  let previous = undefined
+  for (const line of lines(tokens)) {
+    // lines of comments don't end paragraphs or lists, they are part of them or a block of their own
+    if (isComments(line)) {
+      const blocks = sections[sections.length - 1].childs
+      const last   = blocks[blocks.length - 1]
+      if (paragraph.length) {
+        paragraph.push(line)
+      }
+      else if (lists.length) {
+        const list = lists[lists.length - 1]
+        const item = list.childs[list.length - 1]
+        item.childs.push(comment(commentLine(line, previous.newline)))
+        item.setRange(range(item.range.start, line.end), range(item.innerRange.start, line.end))
+        lists.forEach(list => list.setRange(range(list.range.start, line.end)))
+      }
+      else if (last instanceof Comment && previous && isComments(previous)) {
+        last.text += commentLine(line, previous.newline).text
+        last.setRange(range(last.range.start, line.end))
+      }
+      else {
+        append(comment({ text: line.tokens.map(token => token.text).join(''), pos: line.start }))
+      }
+      extend(line.end)
+      previous = line
+      continue
+    }
+    const heading = /^(={1,6})([ \t]*)(.*?)[ \t]*\1[ \t]*$/.exec(line.text)
+    const rule    = /^-{4,}[ \t]*$/.exec(line.text)
+    const list    = /^([*#:;]+)([ \t]*)/.exec(line.text)
+    if (! list) { lists = [] }
+    if (heading || rule || list || ! line.text.trim()) { endParagraph() }
+
+    if (heading && heading[3]) {
+      const level = heading[1].length
+      // comments around the content are part of it, and the ones after the closing equal signs are its trail
+      const close = line.start + line.text.replace(/[ \t]*$/, '').length
+      const raw   = (from, to) => cut(line.tokens, from, to).map(token => token.text).join('')
+      const inner = raw(line.start + level, close - level)
+      const space = /^[ \t]*/.exec(inner)[0]
+      const start = line.start + level + space.length
+      const end   = Math.max(start, close - level - /[ \t]*$/.exec(inner)[0].length)
+      const trail = cut(line.tokens, close, line.end)
+      while (sections.length > 1 && sections[sections.length - 1].level >= level) { sections.pop() }
+      const node = withChilds(new Heading(level), inline(cut(line.tokens, start, end)).childs)
+        .setRange(range(line.start, line.end), range(start, end))
+        .setMarkup(heading[1] + space)
+      if (trail.some(token => token.type === 'comment')) {
+        node.childs.push(comment({ text: raw(close, line.end), pos: close }).setMarkup('trail'))
+      }
+      sections.push(append(new Section(node).setRange(range(line.start, line.end))))
+    }
+    else if (rule) {
+      append(new HorizontalRule().setRange(range(line.start, line.end)).setMarkup(rule[0].trim()))
+    }
+    else if (list) {
+      const markers = list[1]
+      const start   = line.start + list[0].length
+      const colon   = ( markers.endsWith(';') ? definition(cut(line.tokens, start, line.end)) : undefined )
+      if (colon === undefined) {
+        listItem(markers, list[2], cut(line.tokens, start, line.end), line.start, line.end)
+      }
+      else {
+        const space = /^[ \t]*/.exec(line.text.substr(colon + 1 - line.start))[0]
+        const term  = colon - /[ \t]*$/.exec(line.text.substring(start - line.start, colon - line.start))[0].length
+        listItem(markers, list[2], cut(line.tokens, start, term), line.start, term)
+        // the definition on the line of the term has the whitespace around its colon as markup: ; term : definition
+        const markup = cut(line.tokens, term, colon + 1 + space.length).map(token => token.text).join('')
+        listItem(markers.slice(0, -1) + ':', markup, cut(line.tokens, colon + 1 + space.length, line.end), colon, line.end)
+      }
+    }
+    else if (line.text.trim()) {
+      paragraph.push(line)
+    }
+    if (line.text.trim()) { extend(line.end) }
+    previous = line
+  }
+  endParagraph()
+
+  const all = ( tokens.length ? range(tokens[0].pos, after(tokens[tokens.length - 1])) : range(0, 0) )
+  document.setRange(all)
+  spacing(document, tokens)
+  Object.defineProperty(document, 'diagnostics', { value: diagnostics })
+  return document
+}
+
+// the whitespace between the blocks of a document is their markup, see Document.toWikitext():
+// the whitespace after paragraphs, lists and comments, after the heading of a section as the markup of the section,
+// the line of a horizontal rule with the whitespace after it, and the whitespace before the first block of the document
+function spacing(document, tokens) {
+  const source = tokens.map(token => token.text).join('')
+  const text   = (start, end) => source.substring(start - document.range.start, end - document.range.start)
+  const blocks = (parent) => parent.childs.flatMap(child => ( child instanceof Section ? blocks(child) : [ { block: child, parent } ] ))
+  const all    = blocks(document)
+  document.setMarkup(text(document.range.start, ( all.length ? all[0].block.range.start : document.range.end )))
+  all.forEach(({ block, parent }, index) => {
+    const next = ( index < all.length - 1 ? all[index + 1].block.range.start : document.range.end )
+    if (block instanceof Heading)             { parent.setMarkup(text(block.range.end, next))  }
+    else if (block instanceof HorizontalRule) { block.setMarkup(text(block.range.start, next)) }
+    else                                      { block.setMarkup(text(block.range.end, next))   }
+  })
+}
+
+// optimize ast: a copy of the tree without nested formatting and with combined nodes, the input isn't changed.
+// It is made by passes, each gets the whole tree and the config, and returns an optimized copy of it:
+// config.passes is their order, by their names in optimize.passes or as functions (ast, config) => ast.
+// The passes of optimize.passes are skipped if their option is false, e.g. { combineTexts: false }.
+//
+// nestedLinks: 'outer' keeps the outer link with the text of the links inside of it,
+// 'inner' keeps the inner links with the markup of the outer link as text, like MediaWiki and Markdown,
+// and 'keep' keeps both. true is 'outer' and false skips the pass, as 'keep'.
+
+// range of two following nodes
+const _optimize_range = (a, b) => ( a && b ? { start: a.start, end: b.end } : undefined )
+
+const _optimize_formatting = (node) => node instanceof Italic || node instanceof Bold
+
+// part of a text, with its source positions
+const sliceText = (node, from, to) => {
+  const out = new Text(node.text.substring(from, to)).setMarkup(node.markup)
+  return ( node.range ? out.setRange({ start: node.range.start + from, end: node.range.start + to }) : out )
+}
+
+// nodes of the class inside of another one of it are replaced by their childs
+const _optimize_nested = (classy) => (ast) => transform(ast, (node, { path }) => (
+  node instanceof classy && path.some(parent => parent instanceof classy) ? node.childs : undefined
+))
+
+// the markup of a link as texts around its childs: [[target| … ]] and [url … ]
+function _optimize_unlink(link) {
+  const [ first ] = link.childs
+  const last      = link.childs[link.length - 1]
+  const prefix    = ( first && first.markup === 'prefix' ? first : undefined )
+  const trail     = ( last  && last.markup  === 'trail' && last !== prefix ? last : undefined )
+  const markup    = link.markup || ''
+  const open      = ( link.isExternal ? `[${ link.target }${ /^\[\s*$/.test(markup) ? markup.substr(1) : ' ' }` : `[[${ link.target }|` )
+  const close     = ( link.isExternal ? ']' : ']]' )
+  // texts without the markup of the link
+  const text      = (text, range) => ( range ? new Text(text).setRange(range) : new Text(text) )
+  const { range, innerRange } = link
+  const outer     = ( range && innerRange ? range : undefined )
+  return [
+    ...( prefix ? [ text(prefix.text, prefix.range) ] : [] ),
+    text(open,  outer && { start: ( prefix && prefix.range ? prefix.range.end : range.start ), end: innerRange.start }),
+    ...link.childs.filter(child => child !== prefix && child !== trail),
+    text(close, outer && { start: innerRange.end, end: ( trail && trail.range ? trail.range.start : range.end ) }),
+    ...( trail ? [ text(trail.text, trail.range) ] : [] ),
+  ]
+}
+
+// following nodes of the class that are the same are combined into one at once, which is optimized once
+const _optimize_combine = (classy, combine, same = () => true) => (ast, conf) => transform(ast, node => {
+  if (! (node instanceof NodeWithChilds)) { return undefined }
+  const out  = []
+  let run    = []
+  let merged = false
+  const end  = () => {
+    if (run.length > 1) {
+      merged = true
+      out.push(optimize(
+        combine(run)
+          .setRange(
+            run.map(node => node.range).reduce(_optimize_range),
+            run.map(node => node.innerRange).reduce(_optimize_range)
+          )
+          .setMarkup(run[0].markup),
+        conf
+      ))
+    }
+    else {
+      append(out, run)
+    }
+    run = []
+  }
+  for (const child of node.childs) {
+    if (! run.length || ! (child instanceof classy) || ! same(run[0], child)) { end() }
+    if (child instanceof classy) { run.push(child) }
+    else                         { out.push(child) }
+  }
+  end()
+  return ( merged ? copy(node, out) : undefined )
+})
+
+function optimize(ast, config = {}) {
+  const conf = Object.assign({}, optimize.defaults, config)
+  return conf.passes.reduce((ast, pass) => {
+    if (typeof pass === 'function') { return pass(ast, conf) }
+    if (! Object.prototype.hasOwnProperty.call(optimize.passes, pass)) { throw new RangeError(`unknown pass ${ pass } of optimize`) }
+    return ( conf[pass] === false ? ast : optimize.passes[pass](ast, conf) )
+  }, ast)
+}
+
+optimize.passes = {
+  nestedLinks : (ast, { nestedLinks }) => {
+    if (nestedLinks === 'keep')  { return ast }
+    if (nestedLinks === 'outer' || nestedLinks === true) { return _optimize_nested(Link)(ast) }
+    if (nestedLinks === 'inner') {
+      return transform(ast, node => (
+        node instanceof Link && node.childs.some(child => find(child, Link)) ? _optimize_unlink(node) : undefined
+      ))
+    }
+    throw new RangeError(`nestedLinks is ${ nestedLinks } instead of 'outer', 'inner' or 'keep'`)
+  },
+  nestedItalics   : _optimize_nested(Italic),
+  nestedBolds     : _optimize_nested(Bold),
+  // whitespace at the start and end of formatting is moved in front of and after it: ''a ''b => ''a'' b
+  trimFormatting  : (ast) => transform(ast, node => {
+    if (! _optimize_formatting(node) || ! node.length) { return undefined }
+    const childs = [ ...node.childs ]
+    const before = []
+    const after  = []
+    const first  = childs[0]
+    const leading = ( first instanceof Text ? /^\s*/.exec(first.text)[0].length : 0 )
+    if (leading) {
+      before.push(sliceText(first, 0, leading))
+      childs[0] = sliceText(first, leading, first.text.length)
+    }
+    const last     = childs[childs.length - 1]
+    const trailing = ( last instanceof Text ? /\s*$/.exec(last.text)[0].length : 0 )
+    if (trailing) {
+      after.push(sliceText(last, last.text.length - trailing, last.text.length))
+      childs[childs.length - 1] = sliceText(last, 0, last.text.length - trailing)
+    }
+    if (! leading && ! trailing) { return undefined }
+    return [ ...before, copy(node, childs.filter(child => ! (child instanceof Text) || child.text)), ...after ]
+  }),
+  // formatting without text:  and <i></i>
+  emptyFormatting : (ast) => transform(ast, node => (
+    _optimize_formatting(node) && node.childs.every(child => child instanceof Text && ! child.text) ? null : undefined
+  )),
+  // following links to the same page or url: [[a|b]][[a|c]] => [[a|bc]]
+  combineLinks    : _optimize_combine(
+    Link,
+    (nodes) => withChilds(new Link(nodes[0].target), nodes.flatMap(node => node.childs)),
+    (a, b) => ! a.isMetadata && a.isExternal === b.isExternal && a.href === b.href
+  ),
+  // texts of links that are outside of the link markup aren't combined with others, see Link.toWikitext()
+  combineTexts    : _optimize_combine(Text,   (nodes) => new Text(nodes.map(node => node.text).join('')), (a, b) => a.markup === b.markup),
+  combineItalics  : _optimize_combine(Italic, (nodes) => withChilds(new Italic(), nodes.flatMap(node => node.childs))),
+  combineBolds    : _optimize_combine(Bold,   (nodes) => withChilds(new Bold(), nodes.flatMap(node => node.childs))),
+}
+
+// the default config, trimFormatting, emptyFormatting and combineLinks are off
+optimize.defaults = {
+  passes          : [
+    'nestedLinks', 'nestedItalics', 'nestedBolds', 'trimFormatting', 'emptyFormatting',
+    'combineLinks', 'combineTexts', 'combineItalics', 'combineBolds',
+  ],
+  nestedLinks     : 'outer',
+  nestedItalics   : true,
+  nestedBolds     : true,
+  trimFormatting  : false,
+  emptyFormatting : false,
+  combineLinks    : false,
+  combineTexts    : true,
+  combineItalics  : true,
+  combineBolds    : true,
+}
+
+
+// sentence segmentation: splits sentences at the end of each sentence inside of their texts,
+// but not inside of links, formatting, templates or references: [[St. Louis]], ''Dr. No''.
+// A period doesn't end a sentence after an abbreviation (see segment.abbreviations) or an initial (J. R. R. Tolkien),
+// nor if the next sentence would start with a lower case letter.
+// Returns the sentences for a Sentence, or a copy of the tree with all of its sentences split.
+// The whitespace between the sentences is kept as their markup, see Sentence.toWikitext()
+
+const _segment_end = /[.!?…]+['"’”)\]]*(\s+)/g
+
+function _segment_sentence(sentence, abbreviations) {
+  const out = []
+  let childs = []
+  const end = (separator) => {
+    if (childs.length) {
+      const first = childs[0].range
+      const last  = childs[childs.length - 1].range
+      const node  = withChilds(new Sentence(), childs).setMarkup(separator)
+      out.push( first && last ? node.setRange({ start: first.start, end: last.end }) : node )
+    }
+    childs = []
+  }
+
+  sentence.childs.forEach((node, index) => {
+    if (! (node instanceof Text)) {
+      childs.push(node)
+      return
+    }
+    let offset = 0
+    let match
+    // references after the end of a sentence: end.<ref>…</ref> Next
+    const space  = /^\s+/.exec(node.text)
+    let last = childs.length - 1
+    while (last >= 0 && childs[last] instanceof Reference) { last-- }
+    const before = childs[last]
+    if (
+         space
+      && childs[childs.length - 1] instanceof Reference
+      && before instanceof Text && /[.!?…]['"’”)\]]*$/.test(before.text)
+      && space[0].length < node.text.length && ! /\p{Ll}/u.test(node.text[space[0].length])
+    ) {
+      end(space[0])
+      offset = space[0].length
+    }
+    _segment_end.lastIndex = offset
+    while ((match = _segment_end.exec(node.text)) != null) {
+      const after = match.index + match[0].length
+      const next  = ( after < node.text.length ? node.text[after] : undefined )
+      let start = match.index
+      while (start > 0 && /\S/.test(node.text[start - 1])) { start-- }
+      const word  = node.text.substring(start, match.index).replace(/^\W+/, '')
+      if (
+        // nothing after it
+           (next === undefined && index === sentence.length - 1)
+        || (next !== undefined && /\p{Ll}/u.test(next))
+        || (match[0].startsWith('.') && ! /^\.\./.test(match[0]) && (
+             abbreviations.includes(word.toLowerCase())
+          || /^\p{Lu}$/u.test(word)
+        ))
+      ) {
+        continue
+      }
+      const punctuation = after - match[1].length
+      childs.push(sliceText(node, offset, punctuation))
+      end(match[1])
+      offset = after
+    }
+    if (offset < node.text.length) {
+      childs.push(( offset ? sliceText(node, offset, node.text.length) : node ))
+    }
+  })
+  end(sentence.markup)
+  return out
+}
+
+function segment(ast, { language = Link.language } = {}) {
+  const abbreviations = ( segment.abbreviations[language] || [] ).map(abbreviation => abbreviation.toLowerCase())
+  return transform(ast, node => ( node instanceof Sentence ? _segment_sentence(node, abbreviations) : undefined ))
+}
+
+// abbreviations per language, without their last period
+segment.abbreviations = {
+  en : [
+    'Mr', 'Mrs', 'Ms', 'Dr', 'Prof', 'Sr', 'Jr', 'St', 'Mt', 'Gen', 'Col', 'Capt', 'Lt', 'Sgt', 'Rev', 'Hon',
+    'e.g', 'i.e', 'vs', 'cf', 'ca', 'c', 'approx', 'no', 'nos', 'vol', 'p', 'pp', 'ed', 'eds', 'fig',
+    'Inc', 'Ltd', 'Co', 'Corp', 'U.S', 'U.K', 'a.m', 'p.m',
+    'Jan', 'Feb', 'Mar', 'Apr', 'Jun', 'Jul', 'Aug', 'Sep', 'Sept', 'Oct', 'Nov', 'Dec',
+  ],
+  de : [
+    'Dr', 'Prof', 'Hr', 'Fr', 'St', 'Nr', 'Bd', 'S', 'Jh', 'Jhd', 'geb', 'gest', 'ca', 'vgl', 'bzw', 'usw', 'evtl',
+    'z.B', 'z', 'd.h', 'd', 'u.a', 'o.ä', 'v.a', 's.o', 's.u', 'z.T', 'u.U', 'bspw', 'inkl', 'zzgl', 'ggf', 'sog', 'v.Chr', 'n.Chr',
+    'Jan', 'Feb', 'Apr', 'Jun', 'Jul', 'Aug', 'Sep', 'Sept', 'Okt', 'Nov', 'Dez',
+  ],
+}
+
+
+// plugins: { tokens, parsers, nodes }
+// tokens are additional token definitions (see tokenTypes), parsers are indexed by token type
+// and get the token and the parser state, e.g. parser.until(end, (childs, range, innerRange) => [ node ])(token).
+// They return an array of nodes, of the node classes (with their renderers) registered in nodes.
+// Later plugins take precedence over earlier ones and over the built-in parsers, and their tokens are tried
+// before the ones of earlier plugins and the built-in ones of the same precedence, e.g. '' overrides italics.
+// Returns a function to remove the plugin again.
+
+const plugins = []
+
+function extend(plugin) {
+  plugins.push(plugin)
+  lexical = undefined
+  return () => {
+    const index = plugins.indexOf(plugin)
+    if (index >= 0) { plugins.splice(index, 1) }
+    lexical = undefined
+  }
 }
 
 
 // exports
 
-module.exports = { compile, parse, optimize }
+module.exports = { compile, parse, parseDocument, optimize, segment, extend, plugins, ParseError }
@@ -0,0 +1,149 @@
+'use strict'
+
+const classes = require('./classes')
+const { plugins } = require('./parser')
+const { Node, NodeWithChilds, Text, Formula, Comment, Link, Template, Parameter, HtmlElement, Reference, Heading, List, ListItem } = classes
+
+
+// lossless serialization of trees, e.g. to store them or to pass them to worker threads:
+// serialize(ast) => { version, ast } of plain objects, and deserialize(json) => ast with instances of the node classes.
+// Unlike toJSON, which is a summary of the content, nodes keep their fields, childs, source positions, markup and
+// diagnostics: { node: 'Link', target: 'Bus', range: { start, end }, innerRange, markup: '[[', childs: [ … ] }
+// where innerRange is only there if it isn't the range.
+//
+// Nodes are identified by the names of their classes in classes.js and in the nodes of the plugins (see extend),
+// later plugins take precedence. deserialize accepts the object or its JSON string, and throws a TypeError
+// with the path of the node for malformed input, or a RangeError for other versions.
+
+// keys of the serialized nodes that aren't fields
+const reserved = [ 'node', 'childs', 'range', 'innerRange', 'markup', 'diagnostics' ]
+
+// node classes by name
+function types() {
+  const out = {}
+  for (const name in classes) {
+    if (typeof classes[name] === 'function' && classes[name].prototype instanceof Node) { out[name] = classes[name] }
+  }
+  for (const plugin of plugins) { Object.assign(out, plugin.nodes) }
+  return out
+}
+
+// deep copy of the values of fields, which are the values of json
+const clone = (value) => (
+    Array.isArray(value)                       ? value.map(clone)
+  : value !== null && typeof value === 'object' ? Object.keys(value).reduce((out, key) => Object.assign(out, { [key]: clone(value[key]) }), {})
+  : value
+)
+
+// required fields of the node classes and their subclasses: [ test, description ]
+const string   = [ (value) => typeof value === 'string', 'a string' ]
+const fields   = [
+  [ Text,        { text: string } ],
+  [ Formula,     { tex: string } ],
+  [ Comment,     { text: string } ],
+  [ Link,        { target: string } ],
+  [ Template,    { name: string } ],
+  [ Parameter,   { name: [ (value) => typeof value === 'string' || ( Number.isInteger(value) && value > 0 ), 'a string or a position' ] } ],
+  [ HtmlElement, {
+    tag        : string,
+    attributes : [ (value) => !! value && typeof value === 'object' && ! Array.isArray(value)
+      && Object.values(value).every(value => typeof value === 'string'), 'an object of strings' ],
+  } ],
+  [ Reference,   { name: [ (value) => value === undefined || typeof value === 'string', 'a string or undefined' ] } ],
+  [ Heading,     { level: [ (value) => Number.isInteger(value) && value >= 1 && value <= 6, 'a level from 1 to 6' ] } ],
+  [ List,        { type: [ (value) => [ 'bullet', 'numbered', 'definition' ].includes(value), 'bullet, numbered or definition' ] } ],
+  [ ListItem,    { marker: [ (value) => [ '*', '#', ';', ':' ].includes(value), 'one of * # ; :' ] } ],
+]
+
+const copyRange = ({ start, end }) => ({ start, end })
+const sameRange = (a, b) => a === b || ( !! a && !! b && a.start === b.start && a.end === b.end )
+
+
+function serialize(ast) {
+  const names = new Map(Object.entries(types()).map(([ name, type ]) => [ type, name ]))
+  const visit = (node, path) => {
+    const name = names.get(node && node.constructor)
+    if (! name) { throw new TypeError(`${ path }: ${ node && node.constructor ? node.constructor.name : node } isn't a known node class`) }
+    const out = { node: name }
+    for (const key of Object.keys(node)) {
+      if (key === 'childs') { continue }
+      if (reserved.includes(key)) { throw new TypeError(`${ path }: the field ${ key } of ${ name } can't be serialized`) }
+      out[key] = clone(node[key])
+    }
+    if (node.range)                                { out.range       = copyRange(node.range)      }
+    if (! sameRange(node.range, node.innerRange))  { out.innerRange  = copyRange(node.innerRange) }
+    if (node.markup !== undefined)                 { out.markup      = node.markup                }
+    if (node.diagnostics)                          { out.diagnostics = clone(node.diagnostics) }
+    if (node instanceof NodeWithChilds) {
+      out.childs = node.childs.map((child, index) => visit(child, `${ path }.childs[${ index }]`))
+    }
+    return out
+  }
+  return { version: serialize.version, ast: visit(ast, 'ast') }
+}
+
+// version of the format, it changes for serializations that older versions can't read
+serialize.version = 1
+
+
+function deserialize(json) {
+  const input = ( typeof json === 'string' ? JSON.parse(json) : json )
+  const fail  = (path, message) => { throw new TypeError(`${ path }: ${ message }`) }
+  const isObject = (value) => !! value && typeof value === 'object' && ! Array.isArray(value)
+  const isRange  = (value) => (
+    isObject(value) && Number.isInteger(value.start) && Number.isInteger(value.end) && 0 <= value.start && value.start <= value.end
+  )
+
+  if (! isObject(input)) { fail('serialization', 'not an object') }
+  if (input.version !== serialize.version) {
+    throw new RangeError(`version ${ input.version } of the serialization isn't supported, only ${ serialize.version }`)
+  }
+  const known = types()
+
+  const visit = (data, path) => {
+    if (! isObject(data)) { fail(path, 'not a node object') }
+    const type = ( typeof data.node === 'string' && Object.prototype.hasOwnProperty.call(known, data.node) ? known[data.node] : undefined )
+    if (! type) { fail(path, `unknown node type ${ JSON.stringify(data.node) }`) }
+    const withChilds = type.prototype instanceof NodeWithChilds
+    const node = Object.create(type.prototype)
+    if (withChilds) {
+      if (data.childs !== undefined && ! Array.isArray(data.childs)) { fail(path, 'childs is not an array') }
+      node.childs = ( data.childs || [] ).map((child, index) => visit(child, `${ path }.childs[${ index }]`))
+    }
+    else if (data.childs !== undefined) { fail(path, `${ data.node } has no childs`) }
+    for (const key of Object.keys(data)) {
+      if (reserved.includes(key)) { continue }
+      if (key in node) { fail(path, `${ key } isn't a field of ${ data.node }`) }
+      node[key] = clone(data[key])
+    }
+    for (const [ type, required ] of fields) {
+      if (! (node instanceof type)) { continue }
+      for (const key in required) {
+        const [ test, description ] = required[key]
+        if (! test(node[key])) { fail(path, `${ key } of ${ data.node } is not ${ description }`) }
+      }
+    }
+    if (data.range !== undefined && ! isRange(data.range))           { fail(path, 'range is not { start, end }')      }
+    if (data.innerRange !== undefined && ! isRange(data.innerRange)) { fail(path, 'innerRange is not { start, end }') }
+    if (data.innerRange !== undefined && data.range === undefined)   { fail(path, 'innerRange without range')          }
+    if (data.range !== undefined) {
+      node.setRange(copyRange(data.range), copyRange(data.innerRange || data.range))
+    }
+    if (data.markup !== undefined) {
+      if (typeof data.markup !== 'string') { fail(path, 'markup is not a string') }
+      node.setMarkup(data.markup)
+    }
+    if (data.diagnostics !== undefined) {
+      const valid = (d) => isObject(d) && typeof d.code === 'string' && typeof d.message === 'string' && Number.isInteger(d.pos)
+      if (! Array.isArray(data.diagnostics) || ! data.diagnostics.every(valid)) {
+        fail(path, 'diagnostics are not a list of { code, message, pos }')
+      }
+      Object.defineProperty(node, 'diagnostics', { value: clone(data.diagnostics) })
+    }
+    return node
+  }
+  return visit(input.ast, 'ast')
+}
+
+
+module.exports = { serialize, deserialize }
@@ -3,8 +3,17 @@
 const test = require('tape')
 
 const util    = require('util')
-const { compile, parse, optimize } = require('./parser')
-const { t, s, i, b, a }  = require('./classes')
+const { compile, parse, parseDocument, optimize, segment, extend, ParseError } = require('./parser')
+const { t, s, i, b, a, el, ref, tpl, param, Node, NodeWithChilds, Template, Text, Link, HtmlElement, Comment, Sentence } = require('./classes')
+const { doc, section, h, p, list, li, hr } = require('./classes')
+const { walk, find, findAll, transform } = require('./classes')
+const { pages } = require('./dump')
+const { serialize, deserialize } = require('./serialize')
+const { plugin } = require('./wtf')
+const wtf = require('wtf_wikipedia')
+const { main } = require('./cli')
+const { Readable } = require('stream')
+const fs = require('fs')
 
 const tests = {
   // issue 300
@@ -126,6 +135,12 @@ const tests = {
       text  : 'pre link post',
       html  : 'pre <a class="link" href="./Link">link</a> post',
     },
+    {
+      name  : 'link inside of brackets',
+      input : "[see [[link]]]",
+      ast   : s(t('[see '), a('link', t('link')), t(']')),
+      text  : '[see link]',
+    },
     {
       name  : 'link with custom text',
       input : "pre [[link|text]] post",
@@ -165,26 +180,13 @@ const tests = {
   // optimize
   'optimize ast' : [
     {
-      // TODO: unclear how to handle links inside links
-      name  : 'link inside link',
-      input : 'pre [[Page 1|pre [[Page 2|link²]] post]] post',
-      text  : 'pre pre link² post post',
-      // do nothing
-      //ast      : s(t('pre '), a('Page 1', t('pre '), a('Page 2', t('link²')), t(' post')), t(' post')),
-      //html     : 'pre <a class="link" href="./Page_1">pre <a class="link" href="./Page_2">link²</a> post</a> post', // invalid html, both links end after 'link²'
-      //markdown : 'pre [pre [link²](./Page_2) post](./Page_1) post',
-      // ignore the inner <a>
+      // the outer link is kept, see 'optimize passes' for the others
+      name     : 'link inside link',
+      input    : 'pre [[Page 1|pre [[Page 2|link²]] post]] post',
+      text     : 'pre pre link² post post',
       ast      : s(t('pre '), a('Page 1', t('pre link² post')), t(' post')),
       html     : 'pre <a class="link" href="./Page_1">pre link² post</a> post',
       markdown : 'pre [pre link² post](./Page_1) post',
-      // ignore the outer <a>
-      //ast      : s(t('pre [[Page 1|pre '), a('Page 2', t('link²')), t(' post]] post')),
-      //html     : 'pre [[Page 1|pre <a class="link" href="./Page_2">link²</a> post]] post',
-      //markdown : 'pre pre [link²](./Page_2) post post',
-      // wrap the <a> inside of an <object>, this is still invalid html, but does render as expected in the browser (see https://stackoverflow.com/a/41960009/2349701)
-      //ast      : s(t('pre '), a('Page 1', t('pre '), a('Page 2', t('link²')), t(' post')), t(' post')),
-      //html     : 'pre <a class="link" href="./Page_1">pre <object><a class="link" href="./Page_2">link²</a></object> post</a> post',
-      //markdown : 'pre [pre [link²](./Page_2) post](./Page_1) post',
     },
     {
       name  : 'bold inside bold',
@@ -510,6 +512,464 @@ const tests = {
       html  : 'pre <b>pre <i>both</i> post</b> post',
     },
   ],
+  // templates
+  'templates': [
+    {
+      name  : 'positional parameters',
+      input : "{{convert|5|km}}",
+      ast   : s(tpl('convert', param(1, t('5')), param(2, t('km')))),
+      text  : '',
+      html  : '<span class="template" data-template="convert"></span>',
+      json  : { text: '', templates: [ { name: 'convert', params: [ '5', 'km' ] } ] },
+    },
+    {
+      name  : 'named parameters',
+      input : "{{cite web|url=http://example.org|title=Example|en}}",
+      ast   : s(tpl('cite web', param('url', a('http://example.org', t('http://example.org'))), param('title', t('Example')), param(1, t('en')))),
+      json  : {
+        text      : '',
+        links     : [ { type: 'external', text: 'http://example.org', site: 'http://example.org' } ],
+        templates : [ { name: 'cite web', params: [ 'en' ], named: { url: 'http://example.org', title: 'Example' } } ],
+      },
+    },
+    {
+      name  : 'template without parameters surrounded by text',
+      input : "pre {{citation needed}} post",
+      ast   : s(t('pre '), tpl('citation needed'), t(' post')),
+      text  : 'pre  post',
+      latex : 'pre  post',
+    },
+    {
+      name  : 'formatting inside of a parameter',
+      input : "{{lang|de|''Haus''}}",
+      ast   : s(tpl('lang', param(1, t('de')), param(2, i(t('Haus'))))),
+    },
+    {
+      name  : 'link inside of a parameter does not split the parameter',
+      input : "{{main|[[Page 1|text]]|b}}",
+      ast   : s(tpl('main', param(1, a('Page 1', t('text'))), param(2, t('b')))),
+    },
+    {
+      name  : 'template inside of a link',
+      input : "[[Page 1|{{lang|de|Haus}}]]",
+      ast   : s(a('Page 1', tpl('lang', param(1, t('de')), param(2, t('Haus'))))),
+      html  : '<a class="link" href="./Page_1"><span class="template" data-template="lang"></span></a>',
+    },
+    {
+      name  : 'template inside of a template',
+      input : "{{a|{{b|c}}|d=e}}",
+      ast   : s(tpl('a', param(1, tpl('b', param(1, t('c')))), param('d', t('e')))),
+    },
+  ],
+  // external links
+  'external links': [
+    {
+      name     : 'link with text',
+      input    : "[https://example.org Example]",
+      ast      : s(a('https://example.org', t('Example'))),
+      text     : 'Example',
+      html     : '<a class="link external" href="https://example.org">Example</a>',
+      json     : { text: 'Example', links: [ { type: 'external', text: 'Example', site: 'https://example.org' } ] },
+      latex    : '\\href{https://example.org}{Example}',
+      markdown : '[Example](https://example.org)',
+    },
+    {
+      name     : 'links without text are numbered',
+      input    : "pre [https://example.org] and [http://example.com/path?a=b] post",
+      ast      : s(t('pre '), a('https://example.org', t('[1]')), t(' and '), a('http://example.com/path?a=b', t('[2]')), t(' post')),
+      text     : 'pre [1] and [2] post',
+      markdown : 'pre [\\[1\\]](https://example.org) and [\\[2\\]](http://example.com/path?a=b) post',
+    },
+    {
+      name  : 'link with formatted text',
+      input : "[https://example.org ''Example'' site]",
+      ast   : s(a('https://example.org', i(t('Example')), t(' site'))),
+      html  : '<a class="link external" href="https://example.org"><i>Example</i> site</a>',
+    },
+    {
+      name  : 'link with protocol relative url',
+      input : "[//example.org Example]",
+      ast   : s(a('//example.org', t('Example'))),
+      html  : '<a class="link external" href="//example.org">Example</a>',
+    },
+    {
+      name  : 'mailto link',
+      input : "[mailto:info@example.org mail]",
+      ast   : s(a('mailto:info@example.org', t('mail'))),
+      json  : { text: 'mail', links: [ { type: 'external', text: 'mail', site: 'mailto:info@example.org' } ] },
+    },
+    {
+      name  : 'bare url in text without trailing punctuation',
+      input : "see https://example.org/wiki/Page.",
+      ast   : s(t('see '), a('https://example.org/wiki/Page', t('https://example.org/wiki/Page')), t('.')),
+      html  : 'see <a class="link external" href="https://example.org/wiki/Page">https://example.org/wiki/Page</a>.',
+    },
+    {
+      name  : 'bare url with and without parentheses',
+      input : "(http://example.org/A_(B)) (http://example.org/C)",
+      ast   : s(t('('), a('http://example.org/A_(B)', t('http://example.org/A_(B)')), t(') ('), a('http://example.org/C', t('http://example.org/C')), t(')')),
+    },
+    {
+      name  : 'bare url inside of italic',
+      input : "''http://example.org''",
+      ast   : s(i(a('http://example.org', t('http://example.org')))),
+    },
+    {
+      name  : 'brackets without url are text',
+      input : "[not a link] [http://example.org",
+      ast   : s(t('[not a link] ['), a('http://example.org', t('http://example.org'))),
+    },
+    {
+      name  : 'link followed by a closing bracket',
+      input : "[http://example.org text]]",
+      ast   : s(a('http://example.org', t('text')), t(']')),
+    },
+    {
+      name  : 'external url inside of double brackets',
+      input : "[[http://example.org]]",
+      ast   : s(a('http://example.org', t('http://example.org'))),
+      html  : '<a class="link external" href="http://example.org">http://example.org</a>',
+    },
+  ],
+  // html tags
+  'html tags': [
+    {
+      name     : 'superscript and subscript',
+      input    : "E = mc<sup>2</sup> and H<sub>2</sub>O",
+      ast      : s(t('E = mc'), el('sup', {}, t('2')), t(' and H'), el('sub', {}, t('2')), t('O')),
+      text     : 'E = mc2 and H2O',
+      html     : 'E = mc<sup>2</sup> and H<sub>2</sub>O',
+      latex    : 'E = mc\\textsuperscript{2} and H\\textsubscript{2}O',
+      markdown : 'E = mc<sup>2</sup> and H<sub>2</sub>O',
+    },
+    {
+      name     : 'formatting inside of a tag',
+      input    : "<small>[[a|''b'']]</small> <u>c</u> <s>d</s>",
+      ast      : s(el('small', {}, a('a', i(t('b')))), t(' '), el('u', {}, t('c')), t(' '), el('s', {}, t('d'))),
+      text     : 'b c d',
+      html     : '<small><a class="link" href="./A"><i>b</i></a></small> <u>c</u> <s>d</s>',
+      latex    : '{\\small \\href{./A}{\\textit{b}}} \\underline{c} \\sout{d}',
+      markdown : '<small>[*b*](./A)</small> <u>c</u> ~~d~~',
+    },
+    {
+      name     : 'attributes',
+      input    : "<span style=\"color: red\" onclick='alert(1)' hidden>a</span> <abbr title=\"A &amp; B\">AB</abbr>",
+      ast      : s(el('span', { style: 'color: red', onclick: 'alert(1)', hidden: '' }, t('a')), t(' '), el('abbr', { title: 'A & B' }, t('AB'))),
+      text     : 'a AB',
+      html     : '<span style="color: red">a</span> <abbr title="A &amp; B">AB</abbr>',
+      markdown : 'a <abbr title="A &amp; B">AB</abbr>',
+    },
+    {
+      name     : 'line break and code',
+      input    : "a<br/>b<BR> <code>x*`y`</code>",
+      ast      : s(t('a'), el('br', {}), t('b'), el('br', {}), t(' '), el('code', {}, t('x*`y`'))),
+      text     : 'a\nb\n x*`y`',
+      html     : 'a<br>b<br> <code>x*`y`</code>',
+      latex    : 'a\\newline{}b\\newline{} \\texttt{x*`y`}',
+      markdown : 'a<br>b<br> `` x*`y` ``',
+    },
+    {
+      name     : 'tags that are not allowed',
+      input    : "<div>a</div> <script>b</script>",
+      ast      : s(t('<div>a</div> <script>b</script>')),
+      html     : '&lt;div&gt;a&lt;/div&gt; &lt;script&gt;b&lt;/script&gt;',
+    },
+    {
+      name     : 'closing tag of an outer tag',
+      input    : "<sup><u>a</sup> b",
+      ast      : s(el('sup', {}, el('u', {}, t('a'))), t(' b')),
+    },
+  ],
+  // text without markup
+  'nowiki, pre and math': [
+    {
+      name     : 'markup inside of nowiki',
+      input    : "a <nowiki>''b'' [[c]] <ref>d</ref></nowiki> e",
+      ast      : s(t('a '), t("''b'' [[c]] <ref>d</ref>"), t(' e')),
+      text     : "a ''b'' [[c]] <ref>d</ref> e",
+      html     : "a ''b'' [[c]] &lt;ref&gt;d&lt;/ref&gt; e",
+    },
+    {
+      name     : 'empty nowiki tag between a link and its trail',
+      input    : "[[a]]<nowiki/>b",
+      ast      : s(a('a', t('a')), t(''), t('b')),
+      html     : '<a class="link" href="./A">a</a>b',
+    },
+    {
+      name     : 'preformatted text',
+      input    : "a <pre>''b''\n  [[c]]</pre>",
+      ast      : s(t('a '), el('pre', {}, t("''b''\n  [[c]]"))),
+      html     : "a <pre>''b''\n  [[c]]</pre>",
+      latex    : "a \\begin{verbatim}\n''b''\n  [[c]]\n\\end{verbatim}",
+      markdown : "a ```\n''b''\n  [[c]]\n```",
+    },
+    {
+      name     : 'formula',
+      input    : "a <math>\\frac{''b''}{c} < d</math>",
+      text     : "a \\frac{''b''}{c} < d",
+      html     : 'a <span class="math">\\(\\frac{\'\'b\'\'}{c} &lt; d\\)</span>',
+      latex    : "a $\\frac{''b''}{c} < d$",
+      markdown : "a $\\frac{''b''}{c} < d$",
+    },
+    {
+      name     : 'unclosed nowiki tag',
+      input    : "<nowiki>''a''",
+      ast      : s(t('<nowiki>'), i(t('a'))),
+    },
+    {
+      name     : 'unclosed literal tags before closed ones',
+      input    : "<math>a <nowiki>''b'' <NOWIKI >c</nowiki > <pre>d",
+      ast      : s(t('<math>a '), t("''b'' <NOWIKI >c"), t(' '), el('pre', {}, t('d'))),
+    },
+  ],
+  // escaping
+  'escaping of hostile input': [
+    {
+      name     : 'html entities in text',
+      input    : "AT&amp;T&nbsp;&mdash; &#8212;&#x2014; &lt;b&gt; &unknown; &#0;",
+      ast      : s(t('AT&amp;T&nbsp;&mdash; &#8212;&#x2014; &lt;b&gt; &unknown; &#0;')),
+      text     : 'AT&T\u00a0\u2014 \u2014\u2014 <b> &unknown; &#0;',
+      json     : { text: 'AT&T\u00a0\u2014 \u2014\u2014 <b> &unknown; &#0;' },
+      html     : 'AT&amp;T&nbsp;\u2014 \u2014\u2014 &lt;b&gt; &amp;unknown; &amp;#0;',
+      latex    : 'AT\\&T~\u2014 \u2014\u2014 \\textless{}b\\textgreater{} \\&unknown; \\&\\#0;',
+      markdown : 'AT\\&T&nbsp;\u2014 \u2014\u2014 \\<b\\> \\&unknown; \\&#0;',
+    },
+    {
+      name     : 'html entities inside of formatting and links',
+      input    : "''caf&eacute;'' [[Caf&eacute;|&Eacute;cole&shy;s]] 5&thinsp;km",
+      text     : 'caf\u00e9 \u00c9cole\u00ads 5\u2009km',
+      html     : '<i>caf\u00e9</i> <a class="link" href="./Caf%C3%A9">\u00c9cole&shy;s</a> 5\u2009km',
+      latex    : '\\textit{caf\u00e9} \\href{./Caf\\%C3\\%A9}{\u00c9cole\\-s} 5\\,km',
+    },
+    {
+      name     : 'html special characters in text',
+      input    : "a < b & c > d <script>alert(1)</script>",
+      text     : 'a < b & c > d <script>alert(1)</script>',
+      html     : 'a &lt; b &amp; c &gt; d &lt;script&gt;alert(1)&lt;/script&gt;',
+      markdown : 'a \\< b \\& c \\> d \\<script\\>alert(1)\\</script\\>',
+    },
+    {
+      name     : 'quotes inside of a link target',
+      input    : 'a < b & [[x"onmouseover="alert(1)]]',
+      html     : 'a &lt; b &amp; <a class="link" href="./X%22onmouseover%3D%22alert(1)">x"onmouseover="alert(1)</a>',
+      latex    : 'a \\textless{} b \\& \\href{./X\\%22onmouseover\\%3D\\%22alert(1)}{x"onmouseover="alert(1)}',
+      markdown : 'a \\< b \\& [x"onmouseover="alert(1)](./X%22onmouseover%3D%22alert%281%29)',
+    },
+    {
+      name     : 'javascript: scheme of a link target',
+      input    : '[[javascript://%0Aalert(document.cookie)|click]]',
+      html     : '<a class="link" href="./Javascript://_alert(document.cookie)">click</a>',
+      markdown : '[click](./Javascript://_alert%28document.cookie%29)',
+    },
+    {
+      name     : 'data: scheme of a link target',
+      input    : '[[data://text/html,x|y]] [data://text/html,x z]',
+      html     : '<a class="link" href="./Data://text/html,x">y</a> [data://text/html,x z]',
+      markdown : '[y](./Data://text/html,x) \\[data://text/html,x z\\]',
+    },
+    {
+      name     : 'exclamation mark before a link in markdown',
+      input    : 'Look![http://evil.example/pixel.png x]',
+      markdown : 'Look\\![x](http://evil.example/pixel.png)',
+    },
+    {
+      name     : 'tildes and pipes in markdown',
+      input    : '~~gone~~ a|b <s>c</s>',
+      markdown : '\\~\\~gone\\~\\~ a\\|b ~~c~~',
+    },
+    {
+      name     : 'single quotes inside of an external link',
+      input    : "[http://example.org/?a='b'&c=<d> text]",
+      html     : '<a class="link external" href="http://example.org/?a=&#39;b&#39;&amp;c=">&lt;d&gt; text</a>',
+    },
+    {
+      name  : 'latex special characters in text',
+      input : "100% of $5 & #1 a_b {c} ^ ~ \\",
+      latex : '100\\% of \\$5 \\& \\#1 a\\_b \\{c\\} \\textasciicircum{} \\textasciitilde{} \\textbackslash{}',
+    },
+    {
+      name  : 'latex special characters in a link target',
+      input : "[[a_b#c%d|x}]]",
+      latex : '\\href{./A_b\\#c\\%25d}{x\\}}',
+    },
+    {
+      name  : 'latex special characters in an external link',
+      input : "[http://example.org/a\\b^c%20 x]",
+      latex : '\\href{http://example.org/a\\%5Cb\\%5Ec\\%20}{x}',
+    },
+    {
+      name     : 'markdown special characters in text',
+      input    : "a *b* _c_ [d] `e` \\",
+      markdown : 'a \\*b\\* \\_c\\_ \\[d\\] \\`e\\` \\\\',
+    },
+    {
+      name     : 'markdown special characters in a link target',
+      input    : "[[a (b)|''c'']] [http://example.org/a_(b) [d]]",
+      markdown : '[*c*](./A_%28b%29) [\\[d](http://example.org/a_%28b%29)\\]',
+    },
+    {
+      name  : 'template name inside of an attribute',
+      input : '{{a"><script>}}',
+      html  : '<span class="template" data-template="a&quot;&gt;&lt;script&gt;"></span>',
+    },
+  ],
+  // namespaces and interwiki links
+  'namespaces and interwiki links': [
+    {
+      name  : 'category is metadata',
+      input : "text[[Category:Foo bar]]",
+      ast   : s(t('text'), a('Category:Foo bar', t('Category:Foo bar'))),
+      text  : 'text',
+      html  : 'text',
+      json  : { text: 'text', categories: [ 'Foo bar' ] },
+      latex : 'text',
+    },
+    {
+      name     : 'link to a category',
+      input    : "[[:category:Foo]]",
+      ast      : s(a(':category:Foo', t('category:Foo'))),
+      text     : 'category:Foo',
+      html     : '<a class="link" href="./Category:Foo">category:Foo</a>',
+      json     : { text: 'category:Foo', links: [ { type: 'internal', text: 'category:Foo', namespace: 'Category', page: 'Foo' } ] },
+      markdown : '[category:Foo](./Category:Foo)',
+    },
+    {
+      name  : 'file is metadata',
+      input : "[[Image:Example.jpg|thumb|An [[example]]]]",
+      text  : '',
+      json  : { text: '', files: [ { type: 'internal', text: 'thumb|An example', namespace: 'File', page: 'Example.jpg' } ] },
+    },
+    {
+      name  : 'language link is metadata',
+      input : "text [[de:Haus]]",
+      text  : 'text ',
+      json  : { text: 'text ', languages: [ { language: 'de', page: 'Haus' } ] },
+    },
+    {
+      name  : 'link to another language',
+      input : "[[:de:Haus#Geschichte|Haus]]",
+      text  : 'Haus',
+      html  : '<a class="link interwiki" href="https://de.wikipedia.org/wiki/Haus#Geschichte">Haus</a>',
+      json  : { text: 'Haus', links: [ { type: 'interwiki', text: 'Haus', language: 'de', page: 'Haus', anchor: 'Geschichte' } ] },
+    },
+    {
+      name  : 'interwiki link',
+      input : "[[wikt:house]]",
+      text  : 'wikt:house',
+      html  : '<a class="link interwiki" href="https://en.wiktionary.org/wiki/house">wikt:house</a>',
+      json  : { text: 'wikt:house', links: [ { type: 'interwiki', text: 'wikt:house', interwiki: 'wikt', page: 'house' } ] },
+    },
+    {
+      name  : 'interwiki link with language',
+      input : "[[w:fr:Maison|maison]]",
+      html  : '<a class="link interwiki" href="https://fr.wikipedia.org/wiki/Maison">maison</a>',
+      json  : { text: 'maison', links: [ { type: 'interwiki', text: 'maison', interwiki: 'w', language: 'fr', page: 'Maison' } ] },
+    },
+    {
+      name  : 'colon inside of a page title',
+      input : "[[Star Wars: Episode I]]",
+      html  : '<a class="link" href="./Star_Wars:_Episode_I">Star Wars: Episode I</a>',
+      json  : { text: 'Star Wars: Episode I', links: [ { type: 'internal', text: 'Star Wars: Episode I', page: 'Star Wars: Episode I' } ] },
+    },
+    {
+      name  : 'further pipes are part of the text',
+      input : "[[Page 1|a|b]]",
+      ast   : s(a('Page 1', t('a|b'))),
+    },
+  ],
+  // link trails
+  'link trails': [
+    {
+      name     : 'letters after a link',
+      input    : "[[bus]]es",
+      ast      : s(a('bus', t('bus'), t('es'))),
+      text     : 'buses',
+      html     : '<a class="link" href="./Bus">buses</a>',
+      json     : { text: 'buses', links: [ { type: 'internal', text: 'buses', page: 'Bus' } ] },
+      markdown : '[buses](./Bus)',
+    },
+    {
+      name  : 'letters after a link with custom text',
+      input : "pre [[bus|car]]s, post",
+      ast   : s(t('pre '), a('bus', t('car'), t('s')), t(', post')),
+      text  : 'pre cars, post',
+    },
+    {
+      name  : 'letters after formatting inside of a link',
+      input : "[[bus|''car'']]s",
+      ast   : s(a('bus', i(t('car')), t('s'))),
+      html  : '<a class="link" href="./Bus"><i>car</i>s</a>',
+    },
+    {
+      name  : 'no trail after other characters',
+      input : "[[bus]]-stop [[bus]]2",
+      ast   : s(a('bus', t('bus')), t('-stop '), a('bus', t('bus')), t('2')),
+    },
+    {
+      name  : 'no trail after categories',
+      input : "[[Category:Bus]]es",
+      ast   : s(a('Category:Bus', t('Category:Bus')), t('es')),
+      text  : 'es',
+    },
+  ],
+  // dates and numbers
+  'dates and numbers': [
+    {
+      name  : 'dates with days',
+      input : "On March 17, 2020 and 4th of July 1776",
+      json  : { text: 'On March 17, 2020 and 4th of July 1776', dates: [
+        { text: 'March 17, 2020', start: 3, end: 17, value: '2020-03-17', year: 2020, month: 3, day: 17 },
+        { text: '4th of July 1776', start: 22, end: 38, value: '1776-07-04', year: 1776, month: 7, day: 4 },
+      ] },
+    },
+    {
+      name  : 'dates without days or years',
+      input : "17 March, Sept. 1990 and 2001-09-11",
+      json  : { text: '17 March, Sept. 1990 and 2001-09-11', dates: [
+        { text: '17 March', start: 0, end: 8, value: 'XXXX-03-17', month: 3, day: 17 },
+        { text: 'Sept. 1990', start: 10, end: 20, value: '1990-09', year: 1990, month: 9 },
+        { text: '2001-09-11', start: 25, end: 35, value: '2001-09-11', year: 2001, month: 9, day: 11 },
+      ] },
+    },
+    {
+      name  : 'decades, eras and approximate dates',
+      input : "the 1990s, c. 1200 BC, AD 800 and circa 1500",
+      json  : { text: 'the 1990s, c. 1200 BC, AD 800 and circa 1500', dates: [
+        { text: '1990s', start: 4, end: 9, value: '199X', year: 1990 },
+        { text: 'c. 1200 BC', start: 11, end: 21, value: '-1199~', year: -1199 },
+        { text: 'AD 800', start: 23, end: 29, value: '0800', year: 800 },
+        { text: 'circa 1500', start: 34, end: 44, value: '1500~', year: 1500 },
+      ] },
+    },
+    {
+      name  : 'numbers with separators, units and scales',
+      input : "1,234.5 km, 12% of -3 and 2.5 million $4 in 1990-2000",
+      json  : { text: '1,234.5 km, 12% of -3 and 2.5 million $4 in 1990-2000', numbers: [
+        { text: '1,234.5 km', start: 0, end: 10, value: 1234.5, unit: 'km' },
+        { text: '12%', start: 12, end: 15, value: 12, unit: '%' },
+        { text: '-3', start: 19, end: 21, value: -3 },
+        { text: '2.5 million', start: 26, end: 37, value: 2500000 },
+        { text: '$4', start: 38, end: 40, value: 4, unit: '$' },
+        { text: '1990', start: 44, end: 48, value: 1990 },
+        { text: '2000', start: 49, end: 53, value: 2000 },
+      ] },
+    },
+    {
+      name  : 'dates and numbers across links and formatting',
+      input : "[[March]] ''17'', '''2020''' cost [[Euro|€]]5",
+      json  : { text: 'March 17, 2020 cost €5',
+        links      : [ { type: 'internal', text: 'March', page: 'March' }, { type: 'internal', text: '€', page: 'Euro' } ],
+        formatting : { bold: [ '2020' ], italic: [ '17' ] },
+        dates      : [ { text: 'March 17, 2020', start: 0, end: 14, value: '2020-03-17', year: 2020, month: 3, day: 17 } ],
+        numbers    : [ { text: '€5', start: 20, end: 22, value: 5, unit: '€' } ],
+      },
+    },
+    {
+      name  : 'no numbers of undecoded entities',
+      input : '&#0; &#x0; and 7',
+      json  : { text: '&#0; &#x0; and 7', numbers: [ { text: '7', start: 15, end: 16, value: 7 } ] },
+    },
+  ],
 }
 
 for (const context in tests) {
@@ -535,7 +995,7 @@ for (const context in tests) {
       }
 
       if (json !== undefined) {
-        t.equal(_ast.toJSON(), json, _name('json mismatch'))
+        t.deepEqual(_ast.toJSON(), json, _name('json mismatch'))
       }
 
       if (latex !== undefined) {
@@ -551,3 +1011,769 @@ for (const context in tests) {
 
   }
 }
+
+test('optimize passes', assert => {
+  const input = parse(compile('pre [[Page 1|pre [[Page 2|link²]] post]] post'))
+  const text  = input.toString()
+  assert.deepEqual(optimize(input, { nestedLinks: 'inner' }), s(t('pre [[Page 1|pre '), a('Page 2', t('link²')), t(' post]] post')), 'inner link')
+  assert.equal(optimize(input, { nestedLinks: 'inner' }).toHTML(), '<span class="sentence">pre [[Page 1|pre <a class="link" href="./Page_2">link²</a> post]] post</span>', 'html of the inner link')
+  assert.deepEqual(optimize(input, { nestedLinks: 'keep' }), s(t('pre '), a('Page 1', t('pre '), a('Page 2', t('link²')), t(' post')), t(' post')), 'both links')
+  assert.deepEqual(optimize(parse(compile('[http://a.b x [[c]]]'), {}), { nestedLinks: 'inner' }), s(t('[http://a.b x '), a('c', t('c')), t(']')), 'inside of an external link')
+  assert.equal(input.toString(), text, 'the input is not changed')
+  assert.equal(optimize(input, { nestedLinks: 'inner' }).childs[0].range.end, 17, 'source positions of the markup')
+  assert.deepEqual(optimize(input, { nestedLinks: true }), optimize(input, { nestedLinks: 'outer' }), 'true is the outer link')
+  assert.throws(() => optimize(input, { nestedLinks: 'both' }), RangeError, 'unknown strategy')
+
+  const formatting = parse(compile("a'' b ''c''' '''d<b><nowiki/></b>"))
+  assert.deepEqual(optimize(formatting, { trimFormatting: true, emptyFormatting: true }), s(t('a '), i(t('b')), t(' c d')), 'trimmed and empty formatting')
+  assert.deepEqual(optimize(formatting, { emptyFormatting: true }), s(t('a'), i(t(' b ')), t('c'), b(t(' ')), t('d')), 'whitespace is not empty')
+  assert.deepEqual(optimize(parse(compile("''[[a|b]][[a|c]]'' [[a]]")), { combineLinks: true }), s(i(a('a', t('bc'))), t(' '), a('a', t('a'))), 'following links to the same page')
+  assert.deepEqual(optimize(parse(compile('[[a|b]][[A|c]][[Category:a]][[Category:a]]')), { combineLinks: true }).length, 3, 'links to the same page, but not categories')
+
+  const upper = (ast) => transform(ast, node => ( node instanceof Text ? new Text(node.text.toUpperCase()) : undefined ))
+  assert.deepEqual(optimize(parse(compile("a''b''")), { passes: [ 'combineTexts', upper ] }), s(t('A'), i(t('B'))), 'custom passes')
+  assert.deepEqual(optimize(parse(compile("a''b''c")), { passes: [ 'nestedItalics' ] }), s(t('a'), i(t('b')), t('c')), 'selected passes')
+  assert.throws(() => optimize(input, { passes: [ 'unknown' ] }), /unknown pass unknown of optimize/, 'unknown passes')
+  assert.end()
+})
+
+test('templates with custom formats', t => {
+  Template.formats.lang = {
+    toText     : (tpl) => tpl.param(2).toText(),
+    toMarkdown : (tpl) => tpl.param(2).toMarkdown(),
+  }
+  const _ast = parse(compile("the {{Lang|de|''Haus''}}"))
+  t.equal(_ast.toText(), 'the Haus', 'format by name with different case of the first letter')
+  t.equal(_ast.toMarkdown(), 'the *Haus*', 'format with formatting inside of the parameter')
+  t.equal(_ast.toLatex(), 'the ', 'fallback for missing format methods')
+  delete Template.formats.lang
+  t.end()
+})
+
+test('source positions', t => {
+  const input = "pre [[Page 1|pre ''italic'' post]] {{a|b=c}} ''''bold'''' [http://example.org] post"
+  const _ast  = optimize(parse(compile(input)))
+  const slice = (range) => input.slice(range.start, range.end)
+  const [ pre, link, , template, , bold, , external, post ] = _ast.childs
+  const [ param ] = template.childs
+
+  t.equal(slice(_ast.range),               input,                            'sentence covers the whole input')
+  t.equal(slice(pre.range),                'pre ',                           'text')
+  t.equal(slice(link.range),               "[[Page 1|pre ''italic'' post]]", 'link markup')
+  t.equal(slice(link.innerRange),          "pre ''italic'' post",            'link text')
+  t.equal(slice(link.childs[1].range),     "''italic''",                     'italic markup')
+  t.equal(slice(link.childs[1].innerRange), 'italic',                        'italic text')
+  t.equal(slice(template.range),           '{{a|b=c}}',                      'template markup')
+  t.equal(slice(template.innerRange),      'a|b=c',                          'template content')
+  t.equal(slice(param.range),              'b=c',                            'named parameter')
+  t.equal(slice(param.innerRange),         'c',                              'value of named parameter')
+  t.equal(slice(bold.range),               "''''bold''''",                   'bold markup with quotes as text')
+  t.equal(slice(bold.innerRange),          "'bold'",                         'bold text with quotes')
+  t.equal(slice(bold.childs[0].range),     "'bold'",                         'combined texts cover all of their ranges')
+  t.equal(slice(external.range),           '[http://example.org]',           'numbered external link markup')
+  t.equal(slice(external.innerRange),      'http://example.org',             'numbered external link without text')
+  t.equal(slice(post.range),               ' post',                          'text after everything else')
+  t.end()
+})
+
+test('diagnostics', t => {
+  const diagnostics = (input) => parse(compile(input)).diagnostics.map(({ code, pos }) => ({ code, pos }))
+
+  t.deepEqual(diagnostics("[[Page 1|''text'']] and {{a|b}}"), [], 'no diagnostics for well-formed input')
+  t.deepEqual(diagnostics('pre [[a|]] post'),   [ { code: 'link-without-text',     pos: 4 } ], 'link without text')
+  t.deepEqual(diagnostics('pre [[|b]] post'),   [ { code: 'link-without-target',   pos: 4 } ], 'link without target')
+  t.deepEqual(diagnostics('pre [[{{a}}|b]] post'), [ { code: 'link-without-target', pos: 4 } ], 'link with a target without text')
+  t.deepEqual(parse(compile('[[{{a}}|b]]')), s(new Text('b')), 'text of a link with a target without text')
+  t.deepEqual(diagnostics('pre {{|a}} post'),   [ { code: 'template-without-name', pos: 4 } ], 'template without name')
+  t.deepEqual(diagnostics("pre ''italic"),      [ { code: 'unclosed',              pos: 4 } ], 'unclosed italic quotes')
+  t.deepEqual(diagnostics('pre <b>bold'),       [ { code: 'unclosed',              pos: 4 } ], 'unclosed bold tag')
+  t.deepEqual(diagnostics('pre [[link'),        [ { code: 'unclosed',              pos: 4 } ], 'unclosed link')
+  t.deepEqual(diagnostics('pre [http://a.b c'), [ { code: 'unclosed',              pos: 4 } ], 'unclosed external link')
+  t.deepEqual(diagnostics('pre <i></i> post'),  [ { code: 'empty',                 pos: 4 } ], 'empty italic tag')
+  t.deepEqual(diagnostics('pre <sup>a'),        [ { code: 'unclosed',              pos: 4 } ], 'unclosed html tag')
+  t.deepEqual(diagnostics('pre </sup> post'),   [ { code: 'unexpected',            pos: 4 } ], 'closing html tag without opening')
+  t.deepEqual(diagnostics('pre ]] </i> post'),  [ { code: 'unexpected', pos: 4 }, { code: 'unexpected', pos: 7 } ], 'closing without opening')
+  t.deepEqual(diagnostics('[[a [[b]] c]]'),     [ { code: 'link-in-target',        pos: 0 } ], 'link inside of a link target')
+  t.deepEqual(diagnostics("''a <b>b</b>''").length, 0, 'nesting')
+  t.deepEqual(
+    parse(compile("''a <b>b</b>''"), { maxDepth: 1 }).diagnostics.map(({ code, pos }) => ({ code, pos })),
+    [ { code: 'too-deep', pos: 4 }, { code: 'unexpected', pos: 8 } ],
+    'nesting deeper than maxDepth'
+  )
+
+  const emitted = []
+  const _ast = parse(compile("pre ''italic"), { onDiagnostic: d => emitted.push(d) })
+  t.deepEqual(emitted, _ast.diagnostics, 'diagnostics are emitted')
+  t.equal(emitted[0].message, "'' is not closed", 'diagnostics have a message')
+  t.end()
+})
+
+test('large inputs', assert => {
+  const sentence = parse(compile("''a'' b ".repeat(20000)))
+  assert.equal(sentence.length, 40000, 'long sentence')
+  assert.equal(optimize(sentence).length, 40000, 'long sentence is optimized')
+  assert.equal(parse(compile('{{a|' + 'b|'.repeat(200000) + '}}')).childs[0].length, 200001, 'wide template')
+  assert.doesNotThrow(() => parse(compile('{{a|'.repeat(40000))), 'many unclosed templates')
+  assert.equal(segment(parse(compile("''a'' ".repeat(150000)))).length, 1, 'long sentence is segmented')
+
+  const deep = parse(compile('<b>a '.repeat(1000)))
+  assert.ok(deep.diagnostics.some(d => d.code === 'too-deep'), 'deep nesting is reported')
+  assert.doesNotThrow(() => deep.toHTML(), 'deep nesting is rendered')
+  assert.deepEqual(optimize(parse(compile("''a <b>b</b>''"), { maxDepth: 1 })), s(i(t('a <b>b</b>'))), 'nodes nested too deep are text')
+
+  // the text of an external link ends with the first closing bracket
+  assert.deepEqual(parse(compile('[http://a.b c [http://d.e f] g]')), s(a('http://a.b', t('c '), t('[http://d.e '), t('f')), t(' g'), t(']')), 'external links are not nested')
+  assert.deepEqual(parse(compile("[http://a.b ''c] d''")), s(a('http://a.b', i(t('c'))), t(' d')), 'formatting inside of an external link ends with it')
+  assert.deepEqual(parse(compile('[http://a.b [[c]] d]')), s(a('http://a.b', a('c', t('c')), t(' d'))), 'internal link inside of an external link')
+  assert.equal(parse(compile('[http://a.b c '.repeat(2000) + ']')).length, 1, 'many brackets')
+  assert.deepEqual(optimize(parse(compile('[[a [[b]] c]]'))), s(t('[[a '), a('b', t('b')), t(' c]]')), 'link inside of a link target is text')
+
+  // parsing inside of a parser
+  const remove = extend({
+    tokens  : [ { type: '<<', match: /<<[^<>]*>>/ } ],
+    parsers : { '<<': (token) => parse(compile(token.text.slice(2, -2))).childs },
+  })
+  assert.deepEqual(optimize(parse(compile("a <<''b''>> c"))), s(t('a '), i(t('b')), t(' c')), 're-entrant parser')
+  remove()
+  assert.deepEqual(compile("a ''b''"), compile("a ''b''"), 'compile is repeatable')
+  assert.end()
+})
+
+test('strict mode', t => {
+  t.doesNotThrow(() => parse(compile("[[Page 1|''text'']]"), { strict: true }), 'well-formed input')
+  t.throws(() => parse(compile('pre <b>bold'), { strict: true }), ParseError, 'throws a ParseError')
+  try {
+    parse(compile('pre [[a|]] post'), { strict: true })
+    t.fail('no error thrown')
+  }
+  catch (err) {
+    t.equal(err.code, 'link-without-text', 'error code')
+    t.equal(err.pos,  4,                   'error position')
+  }
+  t.end()
+})
+
+test('wikitext round trip', t => {
+  for (const context in tests) {
+    for (const { name, input } of tests[context]) {
+      const _ast = parse(compile(input))
+      if (! _ast.diagnostics.length) {
+        t.equal(_ast.toWikitext(), input, `${ context } - ${ name }`)
+      }
+    }
+  }
+  t.end()
+})
+
+test('wikitext of changed and new nodes', assert => {
+  const _ast = parse(compile("[[Page 1]] and [[Page 2|text]] and <b>bold</b>"))
+  _ast.childs[0].target = 'Page 3'
+  _ast.childs[2].childs = [ t('Page 2') ]
+  assert.equal(_ast.toWikitext(), "[[Page 3|Page 1]] and [[Page 2|Page 2]] and <b>bold</b>", 'changed links keep their text')
+  const external = parse(compile('[http://example.org] http://example.org'))
+  external.childs[0].childs = [ t('text') ]
+  external.childs[2].childs = [ t('text') ]
+  assert.equal(external.toWikitext(), '[http://example.org text] [http://example.org text]', 'external links that got a text')
+  assert.equal(
+    s(a('Page', t('Page')), t(' '), a('Page', t('text')), t(' '), b(i(t('both'))), t(' '), a('http://example.org', t('ex'))).toWikitext(),
+    "[[Page]] [[Page|text]] '''''both''''' [http://example.org ex]",
+    'default markup'
+  )
+  assert.equal(
+    s(tpl('a', param(1, t('b')), param('c', t('d')))).toWikitext(),
+    '{{a|b|c=d}}',
+    'template'
+  )
+  assert.end()
+})
+
+test('tree walking', assert => {
+  const _ast = parse(compile("pre [[Page 1|''italic'' text]] '''bold''' post"))
+
+  const entered = []
+  const left    = []
+  walk(_ast, {
+    enter : (node, { parent, path, index }) => { entered.push([ node.constructor.name, parent && parent.constructor.name, path.length, index ]) },
+    leave : (node) => { left.push(node.constructor.name) },
+  })
+  assert.deepEqual(entered.slice(0, 4), [
+    [ 'Sentence', undefined,  0, undefined ],
+    [ 'Text',     'Sentence', 1, 0 ],
+    [ 'Link',     'Sentence', 1, 1 ],
+    [ 'Italic',   'Link',     2, 0 ],
+  ], 'enter parents before childs, with parent, path and index')
+  assert.deepEqual(left.slice(0, 3), [ 'Text', 'Text', 'Italic' ], 'leave childs before parents')
+
+  const visited = []
+  walk(_ast, node => { visited.push(node.constructor.name) ; return ! (node instanceof Link) })
+  assert.notOk(visited.includes('Italic'), 'skip childs')
+
+  assert.equal(find(_ast, Link).target, 'Page 1', 'find by class')
+  assert.equal(find(_ast, node => node instanceof Text && node.text === ' post').text, ' post', 'find by predicate')
+  assert.equal(find(_ast, Template), undefined, 'find without match')
+  assert.deepEqual(findAll(_ast, Text).map(node => node.text), [ 'pre ', 'italic', ' text', ' ', 'bold', ' post' ], 'find all in document order')
+  assert.deepEqual(findAll(_ast, (node, { parent }) => parent instanceof Link).length, 2, 'find all by predicate with context')
+  assert.equal(Object.getPrototypeOf(function* () {}).prototype.map, undefined, 'no changes to the generator prototype')
+  assert.end()
+})
+
+test('tree transformation', assert => {
+  const _ast   = parse(compile("pre [[Page 1|''italic'' text]] [[Page 2]] post"))
+  const before = _ast.toString()
+
+  const replaced = transform(_ast, node => ( node instanceof Text ? t(node.text.toUpperCase()) : undefined ))
+  assert.equal(replaced.toText(), 'PRE ITALIC TEXT PAGE 2 POST', 'replace nodes')
+  assert.equal(_ast.toString(), before, 'the given tree is not changed')
+  assert.equal(replaced.childs[1].range.start, 4, 'copied nodes keep their source positions')
+
+  const removed = transform(_ast, (node, { parent }) => ( node instanceof Link && parent === _ast ? null : undefined ))
+  assert.equal(removed.toText(), 'pre   post', 'remove nodes')
+
+  const unlinked = transform(_ast, node => ( node instanceof Link ? node.childs : undefined ))
+  assert.deepEqual(findAll(unlinked, Link), [], 'replace a node with multiple nodes')
+  assert.equal(unlinked.toText(), _ast.toText(), 'replace a node with its childs')
+
+  const wrapped = transform(_ast, node => ( node instanceof Link ? b(node) : undefined ))
+  assert.equal(wrapped.toWikitext(), "pre '''[[Page 1|''italic'' text]]''' '''[[Page 2]]''' post", 'wrap nodes')
+
+  const untouched = transform(_ast, () => undefined)
+  assert.equal(untouched, _ast, 'unchanged trees are not copied')
+  assert.end()
+})
+
+test('plugins', assert => {
+  class Placeholder extends Node {
+    constructor(name) {
+      super()
+      this.name = name
+    }
+    toString()   { return `Placeholder("${ this.name }")` }
+    toText()     { return `<${ this.name }>` }
+    toWikitext() { return `{{{${ this.name }}}}` }
+  }
+  class Underline extends NodeWithChilds {
+    toString()   { return 'Underline(' + super.toString() + ')' }
+    toHTML()     { return `<u>${ super.toHTML() }</u>` }
+    toWikitext() { return `<u>${ super.toWikitext() }</u>` }
+  }
+
+  const removePlaceholder = extend({
+    tokens  : [
+      { type: '{{{', match: '{{{' },
+      { type: '}}}', match: '}}}', closes: '{{{' },
+    ],
+    parsers : {
+      '{{{' : (token, parser) => parser.until('}}}', (childs, range) => [
+        new Placeholder(childs.map(child => child.toText()).join('')).setRange(range),
+      ])(token),
+    },
+    nodes   : { Placeholder },
+  })
+  const removeUnderline = extend({
+    tokens  : [
+      { type: '<u>',  match: /<[uU]>/, precedence: 3 },
+      { type: '</u>', match: /<\/[uU]>/, precedence: 4, closes: '<u>' },
+    ],
+    parsers : {
+      '<u>' : (token, parser) => parser.until('</u>', (childs, range, inner) => [ new Underline(...childs).setRange(range, inner) ])(token),
+    },
+  })
+
+  const input = "Dear {{{name}}}, see <U>[[Page 1|''here'']]</U> and {{tpl|{{{x}}}}}"
+  const _ast  = parse(compile(input))
+  assert.equal(
+    _ast.toString(),
+    'Sentence(Text("Dear "), Placeholder("name"), Text(", see "), Underline(Link("Page 1", Italic(Text("here")))), Text(" and "), Template("tpl", Parameter(1, Placeholder("x"))))',
+    'tokens with a higher precedence are preferred, {{{ before {{',
+  )
+  assert.equal(_ast.toText(), 'Dear <name>, see here and ', 'rendered by the node classes of the plugins')
+  assert.equal(_ast.childs[3].toHTML(), '<u><a class="link" href="./Page_1"><i>here</i></a></u>', 'nodes of plugins containing other nodes')
+  assert.equal(_ast.childs[1].range.end, 15, 'source positions of nodes of plugins')
+  assert.deepEqual(parse(compile('a }}} b')).diagnostics.map(d => d.code), [ 'unexpected' ], 'closing tokens of plugins')
+
+  removePlaceholder()
+  assert.equal(parse(compile('{{{name}}}')).toString(), 'Sentence(Template("{name"), Text("}"))', 'removed plugin')
+  assert.equal(parse(compile('<u>x</u>')).childs[0].constructor, Underline, 'other plugins are kept')
+  removeUnderline()
+  assert.equal(parse(compile('<u>x</u>')).childs[0].constructor, HtmlElement, 'all plugins removed')
+
+  const quotes = (text) => extend({
+    tokens  : [ { type: 'quotes', match: "''" } ],
+    parsers : { quotes: (token, parser) => [ new Text(text).setRange(parser.range(token.pos, parser.after(token))) ] },
+  })
+  const removeQuotes  = quotes('"')
+  assert.equal(parse(compile("''a''")).toText(), '"a"', 'tokens of plugins before the built-in ones of the same precedence')
+  const removeQuotes2 = quotes("'")
+  assert.equal(parse(compile("''a''")).toText(), "'a'", 'tokens of later plugins first')
+  removeQuotes2()
+  removeQuotes()
+  assert.equal(parse(compile("''a''")).toString(), 'Sentence(Italic(Text("a")))', 'italics without the plugins')
+  assert.end()
+})
+
+test('interwiki configuration', assert => {
+  Link.interwiki.example = 'https://wiki.example.org/$1'
+  Link.language = 'de'
+  const _ast = parse(compile('[[example:Some page]] [[wikt:Haus]]'))
+  assert.equal(_ast.childs[0].href, 'https://wiki.example.org/Some_page', 'custom interwiki prefix')
+  assert.equal(_ast.childs[2].href, 'https://de.wiktionary.org/wiki/Haus', 'language of the wiki')
+  delete Link.interwiki.example
+  Link.language = 'en'
+  assert.end()
+})
+
+test('link trails and prefixes per language', assert => {
+  Link.language = 'de'
+  assert.equal(optimize(parse(compile('[[Haus]]äöß [[Haus]]é'))).toText(), 'Hausäöß Hausé', 'trail characters of the language')
+  Link.prefixes.de = 'a-zA-ZäöüßÄÖÜ'
+  const _ast = optimize(parse(compile('Bau[[haus]]es und')))
+  assert.equal(_ast.toString(), 'Sentence(Link("haus", Text("Bau"), Text("haus"), Text("es")), Text(" und"))', 'link prefix')
+  assert.equal(_ast.toWikitext(), 'Bau[[haus]]es und', 'wikitext of link prefix and trail')
+  assert.deepEqual(_ast.childs[0].range, { start: 0, end: 13 }, 'source positions with link prefix and trail')
+  delete Link.prefixes.de
+  Link.language = 'en'
+  assert.equal(optimize(parse(compile('Bau[[haus]]äs'))).toString(), 'Sentence(Text("Bau"), Link("haus", Text("haus")), Text("äs"))', 'back to english')
+  assert.end()
+})
+
+test('dates and numbers in other languages', assert => {
+  const _ast = parse(compile("Am 17. März 2020, am 3.10.1990 und in den 1920er-Jahren um 50 v. Chr. lebten 1.234,5 Mio. Menschen auf 12,5 %."))
+  const json = _ast.toJSON({ language: 'de' })
+  assert.deepEqual(json.dates.map(date => date.value), [ '2020-03-17', '1990-10-03', '192X', '-0049~' ], 'german dates')
+  assert.deepEqual(json.dates[0], { text: '17. März 2020', start: 3, end: 16, value: '2020-03-17', year: 2020, month: 3, day: 17 }, 'offsets')
+  assert.deepEqual(json.numbers.map(({ value, unit }) => [ value, unit ]), [ [ 1234500000, undefined ], [ 12.5, '%' ] ], 'german numbers')
+  assert.equal(json.text.substring(json.numbers[0].start, json.numbers[0].end), '1.234,5 Mio.', 'offsets into the text')
+  assert.deepEqual(_ast.toJSON().numbers.map(number => number.value).slice(0, 2), [ 17, 2020 ], 'english formats by default')
+  assert.equal(_ast.toJSON({ language: 'xx' }).dates, undefined, 'no dates in unknown formats')
+
+  const dates = (text) => ( parse(compile(text)).toJSON().dates || [] ).map(date => date.value)
+  assert.deepEqual(dates('Feb 30, 2020, April 31, 2021 and Feb 29, 1900'), [], 'days that the months do not have')
+  assert.deepEqual(dates('Feb 29, 2020, Feb 29, 2000 and 29 February'), [ '2020-02-29', '2000-02-29', 'XXXX-02-29' ], 'leap days')
+  Sentence.formats.en.months[2].push('Mrz')
+  assert.deepEqual(dates('Mrz 17, 2020'), [ '2020-03-17' ], 'changes of the formats')
+  Sentence.formats.en.months[2].pop()
+  assert.deepEqual(dates('Mrz 17, 2020'), [], 'formats changed back')
+  assert.end()
+})
+
+
+test('render context', assert => {
+  const _ast    = parse(compile('[[#History]] [[/Archive]] [[../Sibling page]] [[Other page#Top]] [[wikt:Haus]] [http://a.com a]'))
+  const context = { page: 'Talk:Main/Drafts', baseUrl: 'https://en.wikipedia.org/wiki/' }
+  const hrefs   = _ast.childs.filter(node => node instanceof Link).map(link => link.url(context))
+  assert.deepEqual(hrefs, [
+    'https://en.wikipedia.org/wiki/Talk:Main/Drafts#History',
+    'https://en.wikipedia.org/wiki/Talk:Main/Drafts/Archive',
+    'https://en.wikipedia.org/wiki/Talk:Main/Sibling_page',
+    'https://en.wikipedia.org/wiki/Other_page#Top',
+    'https://en.wiktionary.org/wiki/Haus',
+    'http://a.com',
+  ], 'links resolved against the page and base url')
+  assert.equal(_ast.childs[0].href, '#History', 'anchor without a page')
+  assert.equal(_ast.childs[0].toHTML(context), '<a class="link" href="https://en.wikipedia.org/wiki/Talk:Main/Drafts#History">#History</a>', 'html')
+  assert.equal(_ast.childs[2].toMarkdown(context), '[/Archive](https://en.wikipedia.org/wiki/Talk:Main/Drafts/Archive)', 'markdown')
+  assert.deepEqual(_ast.toJSON(context).links[0], { type: 'internal', text: '#History', page: 'Talk:Main/Drafts', anchor: 'History' }, 'json')
+  const hrefFor = (link) => ( link.isExternal ? undefined : 'mailto:?subject=' + encodeURIComponent(link.page) )
+  assert.equal(_ast.toLatex({ hrefFor }).split('\\href')[4], '{mailto:?subject=Other\\%20page}{Other page\\#Top} ', 'custom href builder')
+  assert.equal(_ast.childs[10].toHTML({ hrefFor }), '<a class="link external" href="http://a.com">a</a>', 'fallback of the href builder')
+  assert.end()
+})
+
+test('title normalization', assert => {
+  const links = (input) => parse(compile(input)).childs.filter(node => node instanceof Link)
+  const hrefs = links('[[ foo__bar  baz ]] [[Foo_bar baz]] [[foo%20bar%20baz]] [[foo&#32;bar&nbsp;baz]] [[USER_TALK: someone]]')
+    .map(link => link.href)
+  assert.deepEqual(hrefs, [ './Foo_bar_baz', './Foo_bar_baz', './Foo_bar_baz', './Foo_bar_baz', './User_talk:Someone' ], 'same page, same href')
+  const [ special, anchor, unicode, interwiki, wikt ] = links('[[AT&amp;T/a?b+c;d]] [[a#Some  section_"x"]] [[élan%XX]] [[w:de:straße]] [[wikt:house]]')
+  assert.equal(special.href, './AT%26T/a%3Fb%2Bc;d', 'percent-encoding of the title')
+  assert.equal(special.page, 'AT&T/a?b+c;d', 'decoded page')
+  assert.equal(anchor.href, './A#Some_section_%22x%22', 'encoding of the anchor')
+  assert.equal(anchor.anchor, 'Some section "x"', 'normalized anchor')
+  assert.equal(unicode.href, './%C3%89lan%25XX', 'invalid percent-encoding is kept')
+  assert.equal(interwiki.href, 'https://de.wikipedia.org/wiki/Stra%C3%9Fe', 'capitalized interwiki link')
+  assert.equal(wikt.href, 'https://en.wiktionary.org/wiki/house', 'case sensitive wiki')
+  Link.project = 'wikt'
+  assert.equal(links('[[house]]')[0].href, './house', 'case sensitive project of the wiki')
+  Link.project = 'w'
+  assert.end()
+})
+
+test('documents', assert => {
+  const input = [
+    'Lead with [[a link]].',
+    'Second line.',
+    '',
+    '== History ==',
+    "Some ''text''.",
+    '',
+    '=== Early ===',
+    '* one',
+    '** nested',
+    '#* mixed',
+    '; term : definition',
+    '----',
+    '',
+    '== Other ==',
+    '{{a|b=',
+    'c}}',
+  ].join('\n')
+  const _doc = optimize(parseDocument(compile(input)))
+  assert.deepEqual(_doc, doc(
+    p(s(t('Lead with '), a('a link', t('a link')), t('.\nSecond line.'))),
+    section(
+      h(2, t('History')),
+      p(s(t('Some '), i(t('text')), t('.'))),
+      section(
+        h(3, t('Early')),
+        list('bullet', li('*', t('one'), list('bullet', li('*', t('nested'))))),
+        list('numbered', li('#', list('bullet', li('*', t('mixed'))))),
+        list('definition', li(';', t('term')), li(':', t('definition'))),
+        hr(),
+      ),
+    ),
+    section(
+      h(2, t('Other')),
+      p(s(tpl('a', param('b', t('\nc'))))),
+    ),
+  ), 'blocks with inline content')
+
+  const slice = (node) => input.slice(node.range.start, node.range.end)
+  const [ , history, other ] = _doc.childs
+  const early = history.childs[2]
+  assert.equal(slice(history), input.slice(input.indexOf('== History'), input.indexOf('\n\n== Other')), 'section until the next one of its level')
+  assert.equal(input.slice(early.heading.innerRange.start, early.heading.innerRange.end), 'Early', 'heading text')
+  assert.equal(slice(early.childs[1]), '* one\n** nested', 'list')
+  assert.equal(slice(early.childs[1].childs[0].childs[1].childs[0]), '** nested', 'nested item')
+  assert.equal(slice(other.childs[1]), '{{a|b=\nc}}', 'template with a line break')
+  assert.equal(_doc.childs[0].childs[0].range.end, input.indexOf('\n\n'), 'paragraph of two lines')
+
+  const small = parseDocument(compile("== A [[b]] ==\n* ''one''\n*# two\n; x\n: y\n----\nEnd."))
+  assert.equal(small.toText(), 'A b\n\none\ntwo\n\nx\ny\n\nEnd.', 'text')
+  assert.equal(
+    small.toHTML(),
+    '<section><h2>A <a class="link" href="./B">b</a></h2>\n<ul><li><i>one</i><ol><li>two</li></ol></li></ul>\n'
+    + '<dl><dt>x</dt><dd>y</dd></dl>\n<hr>\n<p><span class="sentence">End.</span></p></section>',
+    'html'
+  )
+  assert.equal(small.toMarkdown(), '## A [b](./B)\n\n- *one*\n  1. two\n\nx\n: y\n\n---\n\nEnd.', 'markdown')
+  assert.equal(
+    small.toLatex(),
+    '\\section{A \\href{./B}{b}}\n\n\\begin{itemize}\n\\item \\textit{one}\n\\begin{enumerate}\n\\item two\n\\end{enumerate}\n\\end{itemize}\n\n'
+    + '\\begin{description}\n\\item[x]\n\\item y\n\\end{description}\n\n\\noindent\\rule{\\linewidth}{0.4pt}\n\nEnd.',
+    'latex'
+  )
+  assert.deepEqual(small.toJSON(), { sections: [ {
+    title : 'A b',
+    level : 2,
+    paragraphs : [ { sentences: [ { text: 'End.' } ] } ],
+    lists      : [ [ { text: 'one', formatting: { italic: [ 'one' ] } }, { text: 'two' } ], [ { text: 'x' }, { text: 'y' } ] ],
+  } ] }, 'json')
+
+  const wikitext = "Lead.\n\n== A ==\n* one\n*# two\n\n; x\n: y\n\n----\n\n=== B ===\nText with ''italic''.\nAnd a second line."
+  assert.equal(parseDocument(compile(wikitext)).toWikitext(), wikitext, 'wikitext round trip')
+  const spacing = '\n\nLead.\n\n\n== A ==\n\n* c\n# d\n; t : def\n;u:v\n----  \n\n\nEnd.\n\n'
+  assert.equal(parseDocument(compile(spacing)).toWikitext(), spacing, 'round trip of the whitespace between blocks')
+  assert.equal(segment(optimize(parseDocument(compile(spacing)))).toWikitext(), spacing, 'whitespace between blocks of copies')
+  assert.equal(
+    doc(p(s(t('a'))), section(h(2, t('B')), list('definition', li(';', t('t')), li(':', t('d'))))).toWikitext(),
+    'a\n\n== B ==\n; t\n: d',
+    'whitespace between blocks without markup'
+  )
+  assert.deepEqual(
+    parseDocument(compile("a ''b\n\n[[c")).diagnostics.map(({ code, pos }) => ({ code, pos })),
+    [ { code: 'unclosed', pos: 2 }, { code: 'unclosed', pos: 7 } ],
+    'diagnostics of all blocks'
+  )
+  assert.end()
+})
+
+test('sentence segmentation', assert => {
+  const input     = "[[St. Louis]] is a city. ''Dr. No'' is a film by J. R. Smith, e.g. this one. Was it? Yes... maybe. [[A]]. [[B]] too."
+  const sentences = segment(optimize(parse(compile(input))))
+  assert.deepEqual(sentences.map(sentence => sentence.toText()), [
+    'St. Louis is a city.',
+    'Dr. No is a film by J. R. Smith, e.g. this one.',
+    'Was it?',
+    'Yes... maybe.',
+    'A.',
+    'B too.',
+  ], 'split at the end of sentences')
+  assert.deepEqual(sentences[0], s(a('St. Louis', t('St. Louis')), t(' is a city.')), 'nodes of a sentence')
+  assert.deepEqual(sentences[1].range, { start: 25, end: 76 }, 'source positions')
+  assert.equal(sentences.map(sentence => sentence.toWikitext()).join(''), input, 'whitespace between the sentences')
+
+  const _doc = segment(optimize(parseDocument(compile('== A ==\nOne. Two.\nThree.\n\nFour.'))))
+  assert.equal(_doc.childs[0].childs[1].length, 3, 'sentences of a paragraph')
+  assert.equal(_doc.toHTML(), '<section><h2>A</h2>\n<p><span class="sentence">One.</span> <span class="sentence">Two.</span> <span class="sentence">Three.</span></p>\n'
+    + '<p><span class="sentence">Four.</span></p></section>', 'html of the sentences')
+  assert.equal(_doc.toWikitext(), '== A ==\nOne. Two.\nThree.\n\nFour.', 'wikitext of the sentences')
+
+  const german = (input) => segment(parse(compile(input)), { language: 'de' }).map(sentence => sentence.toText())
+  assert.deepEqual(german('Das ist z. B. gut. Er kam ca. 1900 an. Dann ging er.'), [ 'Das ist z. B. gut.', 'Er kam ca. 1900 an.', 'Dann ging er.' ], 'german abbreviations')
+  segment.abbreviations.de.push('Anm')
+  assert.deepEqual(german('Siehe Anm. Drei.'), [ 'Siehe Anm. Drei.' ], 'configurable abbreviations')
+  segment.abbreviations.de.pop()
+  assert.end()
+})
+
+test('references', assert => {
+  const input = [
+    'Paris is big.<ref name="atlas">[[Atlas]], p. 5</ref> It has a tower.<ref>{{cite web',
+    '|url=http://example.org}}</ref>',
+    '',
+    '== More ==',
+    'Again.<ref name="atlas"/> And <ref name=b/> more.<ref name="b">Later.</ref>',
+  ].join('\n')
+  const _doc = segment(optimize(parseDocument(compile(input))))
+  const [ intro, more ] = _doc.childs
+  assert.deepEqual(intro.childs[0].childs, [
+    t('Paris is big.'),
+    ref('atlas', a('Atlas', t('Atlas')), t(', p. 5')),
+  ], 'named reference with its content')
+  assert.deepEqual(more.childs[1].childs[1].childs, [ t('And '), ref('b'), t(' more.'), ref('b', t('Later.')) ], 'reuse of a named reference')
+  assert.equal(intro.length, 2, 'references at the end of a sentence')
+  assert.deepEqual(_doc.diagnostics, [], 'template with line breaks inside of a reference')
+  assert.equal(_doc.toText(), 'Paris is big. It has a tower.\n\nMore\n\nAgain. And  more.', 'not part of the text')
+  assert.equal(_doc.toWikitext(), input, 'wikitext')
+
+  const marker = (n) => `<sup class="reference"><a href="#cite-note-${ n }">[${ n }]</a></sup>`
+  assert.equal(
+    _doc.toHTML(),
+    `<p><span class="sentence">Paris is big.${ marker(1) }</span> <span class="sentence">It has a tower.${ marker(2) }</span></p>\n`
+    + `<section><h2>More</h2>\n<p><span class="sentence">Again.${ marker(1) }</span> <span class="sentence">And ${ marker(3) } more.${ marker(3) }</span></p></section>\n`
+    + '<ol class="references"><li id="cite-note-1"><a class="link" href="./Atlas">Atlas</a>, p. 5</li>'
+    + '<li id="cite-note-2"><span class="template" data-template="cite web"></span></li><li id="cite-note-3">Later.</li></ol>',
+    'html with the list of references of the document'
+  )
+  assert.equal(
+    _doc.toLatex(),
+    'Paris is big.\\footnote{\\href{./Atlas}{Atlas}, p. 5} It has a tower.\\footnote{}\n\n\\section{More}\n\n'
+    + 'Again.\\footnotemark[1] And \\footnote{Later.} more.\\footnotemark[3]',
+    'latex footnotes'
+  )
+  assert.equal(
+    _doc.toMarkdown(),
+    'Paris is big.[^1] It has a tower.[^2]\n\n## More\n\nAgain.[^1] And [^3] more.[^3]\n\n[^1]: [Atlas](./Atlas), p. 5\n[^2]: \n[^3]: Later.',
+    'markdown footnotes'
+  )
+  assert.deepEqual(more.childs[1].childs[1].toJSON().references, [ { name: 'b' }, { name: 'b', text: 'Later.' } ], 'json')
+  assert.deepEqual(intro.childs[1].toJSON(), {
+    text       : 'It has a tower.',
+    references : [ {
+      text      : '',
+      links     : [ { type: 'external', text: 'http://example.org', site: 'http://example.org' } ],
+      templates : [ { name: 'cite web', named: { url: 'http://example.org' } } ],
+    } ],
+  }, 'links and templates of references are only part of them')
+
+  const sentence = parse(compile('a<ref>x</ref> b<ref>y</ref>'))
+  assert.equal(sentence.toMarkdown(), 'a[^1] b[^2]\n\n[^1]: x\n[^2]: y', 'numbered by the sentence')
+  assert.deepEqual(parse(compile('a <ref/> b <ref>')).diagnostics.map(d => d.code), [ 'empty', 'unclosed' ], 'diagnostics')
+  assert.end()
+})
+
+test('comments', assert => {
+  const input = "a<!-- ''b'' -->c [[d<!-- e -->]] <!-- f"
+  const _ast  = optimize(parse(compile(input)))
+  const c     = (text) => new Comment(text)
+  assert.deepEqual(_ast, s(t('a'), c("<!-- ''b'' -->"), t('c '), a('d', t('d'), c('<!-- e -->')), t(' '), c('<!-- f')), 'comments are kept')
+  assert.deepEqual(_ast.childs[3].range, { start: 17, end: 32 }, 'source positions around comments')
+  const without = optimize(parse(compile('ac [[d]] ')))
+  for (const method of [ 'toText', 'toHTML', 'toLatex', 'toMarkdown', 'toJSON' ]) {
+    assert.deepEqual(_ast[method](), without[method](), `${ method } without comments`)
+  }
+  assert.equal(parse(compile(input)).toWikitext(), input, 'round trip')
+  assert.equal(parse(compile('<!-- c -->a')).toWikitext(), '<!-- c -->a', 'round trip of a comment in front')
+
+  const wikitext = 'a\n<!-- b -->\nc\n\n== D == <!-- e -->\n* f\n<!-- g -->\n* h\n\n<!-- i -->\n<!-- j -->'
+  const _doc = parseDocument(compile(wikitext))
+  assert.equal(_doc.toString(), 'Document(Paragraph(Sentence(Text("a"), Comment("\\n<!-- b -->"), Text("\nc"))), Section(Heading(2, Text("D"), Comment(" <!-- e -->")), List("bullet", ListItem("*", Text("f"), Comment("\\n<!-- g -->")), ListItem("*", Text("h"))), Comment("<!-- i -->\\n<!-- j -->")))', 'lines of comments')
+  assert.equal(_doc.toWikitext(), wikitext, 'round trip of lines of comments')
+  assert.equal(_doc.toText(), 'a\nc\n\nD\n\nf\nh', 'lines of comments without output')
+  assert.end()
+})
+
+test('dump pages', async assert => {
+  const fixture = './fixtures/pages-articles.xml'
+  const all     = async (chunks, options) => {
+    const out = []
+    for await (const page of pages(chunks, options)) { out.push(page) }
+    return out
+  }
+
+  const read = await all(fs.createReadStream(fixture, { highWaterMark: 16 }))
+  assert.deepEqual(read.map(page => page.title), [ 'Bus', 'Café & bar', 'Empty', 'Coach' ], 'titles')
+  assert.equal(read[0].ast.toText(), 'A bus is a road vehicle.\n\nHistory\n\nBuses & coaches were horse-drawn.\n', 'wikitext of a page')
+  assert.ok(read[0].ast.toHTML().includes('<li id="cite-note-1">Atlas, p. 5</li>'), 'tags of the wikitext')
+  assert.deepEqual(read[2].ast, doc(), 'empty page')
+
+  const bytes = [ ...Buffer.from('<page><title>Café</title><text>ä</text></page>') ].map(byte => Buffer.from([ byte ]))
+  assert.deepEqual((await all(bytes)).map(page => [ page.title, page.ast.toText() ]), [ [ 'Café', 'ä' ] ], 'characters split over chunks')
+  const words  = '<page><title>Long</title><text>' + 'word '.repeat(400000) + '</text></page><page><title>Short</title></page>'
+  const chunks = words.match(/[\s\S]{1,100}/g)
+  assert.deepEqual((await all(chunks, { parse: (text) => text.length })).map(page => [ page.title, page.ast ]), [ [ 'Long', 2000000 ], [ 'Short', 0 ] ], 'long page in many chunks')
+
+  // errors only affect their page
+  const strict = await all(fs.createReadStream(fixture), { parse: (text) => parseDocument(compile(text), { strict: true }) })
+  assert.deepEqual(strict.map(page => page.error && page.error.code), [ undefined, 'unclosed', undefined, undefined ], 'page that is not parsed')
+  assert.ok(strict[1].error instanceof ParseError, 'error of the page')
+  assert.equal(strict[1].title, 'Café & bar', 'title of the page with an error')
+  const long = await all(fs.createReadStream(fixture, { highWaterMark: 64 }), { maxPageSize: 300 })
+  assert.deepEqual(long.map(page => page.error && page.error.name), [ 'RangeError', undefined, undefined, undefined ], 'page that is too long')
+  const xml = fs.readFileSync(fixture, 'utf8')
+  const cut = await all([ xml.substring(0, xml.indexOf('<title>Empty')) ])
+  assert.deepEqual(cut.map(page => page.error && page.error.message), [ undefined, undefined, 'page is not complete' ], 'page without end')
+
+  // cancellation
+  const stream = fs.createReadStream(fixture, { highWaterMark: 16 })
+  for await (const page of pages(stream)) {
+    assert.equal(page.title, 'Bus', 'first page')
+    break
+  }
+  assert.ok(stream.destroyed, 'breaking the loop destroys the stream')
+  const controller = new AbortController()
+  const aborted    = []
+  try {
+    for await (const page of pages(fs.createReadStream(fixture, { highWaterMark: 16 }), { signal: controller.signal })) {
+      aborted.push(page.title)
+      controller.abort()
+    }
+    assert.fail('no error thrown')
+  }
+  catch (err) {
+    assert.equal(err.name, 'AbortError', 'aborting throws an AbortError')
+  }
+  assert.deepEqual(aborted, [ 'Bus' ], 'no pages after aborting')
+})
+
+
+test('serialization', assert => {
+  const input = [
+    '== Bus ==',
+    "A '''bus'''<ref name=\"a\">See [http://a.b ''c''].</ref> is a [[vehicle|car]]s {{convert|5|km|lk=on}} <span style=\"x\">e</span>.",
+    '* <math>x^2</math> and <nowiki>[[no]]</nowiki>',
+    '----',
+    '[[Category:Bus]] <ref name="a"/> [[a|',
+  ].join('\n')
+  const _ast  = parseDocument(compile(input))
+  const json  = JSON.parse(JSON.stringify(serialize(_ast)))
+  const copy  = deserialize(json)
+  const nodes = (root) => {
+    const out = []
+    walk(root, node => { out.push(node) })
+    return out
+  }
+  assert.equal(json.version, 1, 'version')
+  assert.deepEqual(json.ast.childs[0].childs[0], {
+    node: 'Heading', level: 2, range: { start: 0, end: 9 }, innerRange: { start: 3, end: 6 }, markup: '== ',
+    childs: [ { node: 'Text', text: 'Bus', range: { start: 3, end: 6 } } ],
+  }, 'serialized nodes')
+  assert.deepEqual(copy, _ast, 'same tree')
+  assert.equal(copy.toWikitext(), _ast.toWikitext(), 'same wikitext')
+  assert.equal(copy.toHTML(), _ast.toHTML(), 'same html')
+  assert.ok(nodes(copy).every((node, index) => node.constructor === nodes(_ast)[index].constructor), 'instances of the node classes')
+  assert.deepEqual(nodes(copy).map(node => [ node.range, node.innerRange, node.markup ]), nodes(_ast).map(node => [ node.range, node.innerRange, node.markup ]), 'same positions and markup')
+  assert.deepEqual(copy.diagnostics, _ast.diagnostics, 'same diagnostics')
+  assert.deepEqual(deserialize(JSON.stringify(serialize(s(t('a'))))), s(t('a')), 'json strings')
+
+  class Placeholder extends Node {
+    constructor(name) {
+      super()
+      this.name = name
+    }
+  }
+  assert.throws(() => serialize(s(new Placeholder('x'))), /ast.childs\[0\]: Placeholder isn't a known node class/, 'unknown classes')
+  const remove = extend({ nodes: { Placeholder } })
+  const placeholder = deserialize(serialize(s(new Placeholder('x'))))
+  assert.ok(placeholder.childs[0] instanceof Placeholder && placeholder.childs[0].name === 'x', 'node classes of plugins')
+  remove()
+
+  const invalid = (ast, message, version = 1) => assert.throws(() => deserialize({ version, ast }), message, message.source)
+  assert.throws(() => deserialize({ version: 2, ast: {} }), RangeError, 'other versions')
+  invalid([],                                                   /ast: not a node object/)
+  invalid({ node: 'Sentence', childs: [ { node: 'Foo' } ] },   /ast.childs\[0\]: unknown node type "Foo"/)
+  invalid({ node: 'toString' },                                 /ast: unknown node type "toString"/)
+  invalid({ node: 'Sentence', childs: {} },                     /ast: childs is not an array/)
+  invalid({ node: 'Text', text: 'a', childs: [] },              /ast: Text has no childs/)
+  invalid({ node: 'Link', target: 'a', type: 'external' },      /ast: type isn't a field of Link/)
+  invalid({ node: 'Text', text: 'a', range: { start: 2, end: 1 } }, /ast: range is not \{ start, end \}/)
+  invalid({ node: 'Text', text: 'a', innerRange: { start: 0, end: 1 } }, /ast: innerRange without range/)
+  invalid({ node: 'Text', text: 'a', markup: 1 },               /ast: markup is not a string/)
+  invalid({ node: 'Sentence', diagnostics: [ { code: 'x' } ] }, /ast: diagnostics are not a list/)
+  invalid({ node: 'Text' },                                     /ast: text of Text is not a string/)
+  invalid({ node: 'Text', text: 5 },                            /ast: text of Text is not a string/)
+  invalid({ node: 'Sentence', childs: [ { node: 'Link' } ] },   /ast.childs\[0\]: target of Link is not a string/)
+  invalid({ node: 'HtmlElement', tag: 'b', attributes: { a: 1 } }, /ast: attributes of HtmlElement is not an object of strings/)
+  invalid({ node: 'Heading', level: 7 },                        /ast: level of Heading is not a level from 1 to 6/)
+  invalid({ node: 'List', type: 'dotted' },                     /ast: type of List is not bullet, numbered or definition/)
+  assert.end()
+})
+
+
+test('wtf_wikipedia plugin', assert => {
+  const compatible = "A [[Bus stop|stops]] and [[wikt:car#x|c]]. ''It'' is '''big''' and [[Train]]s."
+  const nested     = "See [[Page 1|pre [[Page 2|link]] post]] and [[Bus|''the'' bus]] [http://a.b site]."
+  const shapes     = "A [[w:fr:Paris|Parisian]] and [[red]]dish, [[Page#Sec]] and [[#anchor|x]] in [[de:Haus]] or [[:Category:Foo]]."
+  const before     = wtf(compatible).sentences().map(sentence => sentence.json())
+  const linksOf    = (text) => wtf(text).links().map(link => link.data)
+  const wtfLinks   = linksOf(shapes)
+  const wtfText    = wtf(shapes).sentences()[0].text()
+  let Sentence
+  wtf.extend(plugin).extend(models => { Sentence = models.Sentence })
+  assert.deepEqual(linksOf(shapes), wtfLinks, 'same links as wtf_wikipedia')
+  assert.equal(wtf(shapes).sentences()[0].text(), wtfText, 'same text of links as wtf_wikipedia')
+
+  const doc = wtf(compatible + '\n\n' + nested)
+  assert.deepEqual(doc.sentences().slice(0, 2).map(sentence => sentence.json()), before, 'same json as wtf_wikipedia')
+  assert.deepEqual(doc.sentences()[2].json(), {
+    text       : 'See pre link post and the bus site.',
+    links      : [
+      { type: 'internal', page: 'Page 1', text: 'pre link post' },
+      { type: 'internal', page: 'Bus', text: 'the bus' },
+      { type: 'external', site: 'http://a.b', text: 'site' },
+    ],
+    formatting : { italic: [ 'the' ] },
+  }, 'nested links and formatting inside of links')
+  assert.deepEqual(doc.links().map(link => link.wikitext()).slice(-3, -1), [ '[[Page 1|pre [[Page 2|link]] post]]', "[[Bus|''the'' bus]]" ], 'wikitext of links')
+  assert.deepEqual(doc.sentences()[1].bolds(), [ 'big' ], 'bolds')
+  assert.equal(doc.sentences()[2].ast().toString().slice(0, 30), 'Sentence(Text("See "), Link("P', 'ast of a sentence')
+  assert.equal(new Sentence({ text: 'a' }).text(), 'a', 'sentences without wikitext')
+  assert.end()
+})
+
+
+test('command line tool', async assert => {
+  const run = async (args, input = '') => {
+    const out = { stdout: '', stderr: '' }
+    const streams = {
+      stdin  : Readable.from([ input ]),
+      stdout : { write: (text) => { out.stdout += text } },
+      stderr : { write: (text) => { out.stderr += text } },
+    }
+    out.code = await main(args, streams)
+    return out
+  }
+  assert.deepEqual(await run([], "a ''b''"), { stdout: 'a b\n', stderr: '', code: 0 }, 'text of stdin')
+  assert.equal((await run([ '-f', 'html' ], "== A ==\nb")).stdout, '<section><h2>A</h2>\n<p><span class="sentence">b</span></p></section>\n', 'html of a document')
+  assert.equal((await run([ '--format=ast', '--lines' ], "a\n''b''\n")).stdout, 'Sentence(Text("a"))\nSentence(Italic(Text("b")))\n', 'lines')
+  assert.equal((await run([ '-l', '-f', 'json' ], '[[a]]')).stdout, '{"text":"a","links":[{"type":"internal","text":"a","page":"A"}]}\n', 'json lines')
+  assert.equal((await run([ '-f', 'ast', '-l', '--optimize-nested-links=inner' ], '[[a|b [[c]]]]')).stdout, 'Sentence(Text("[[a|b "), Link("c", Text("c")), Text("]]"))\n', 'options of optimize')
+  assert.equal((await run([ '-f', 'ast', '-l', '--optimize-combine-texts=false', '-o' ], '[[a|b [[c]]]]')).stdout, 'Sentence(Link("a", Text("b "), Text("c")))\n', 'optimize without some passes')
+  assert.equal((await run([ '--tokens' ], "a''")).stdout, '{"type":"text","text":"a","pos":0}\n{"type":"\'\'","text":"\'\'","pos":1}\n', 'tokens')
+  assert.deepEqual(await run([ '-l' ], 'a\nb <b>c'), { stdout: 'a\nb c\n', stderr: 'stdin:2:3: <b> is not closed (unclosed)\n', code: 1 }, 'diagnostics')
+  assert.equal((await run([ 'fixtures/missing.wiki' ])).code, 2, 'missing files')
+  assert.equal((await run([ '--optimize-unknown' ])).code, 2, 'unknown options')
+  assert.equal((await run([ '-f', 'ast', '--optimize-nested-links' ], '[[a|[[b]]]]')).stdout, 'Document(Paragraph(Sentence(Link("a", Text("b")))))\n', 'nested links without a value')
+  assert.equal((await run([ '--optimize-nested-links=bogus' ], 'a')).stderr.split('\n')[0], 'wtf-ast: invalid value bogus of --optimize-nested-links', 'invalid values of optimize')
+  const passes = await run([ '--optimize-passes=foo' ], 'a')
+  assert.deepEqual([ passes.code, passes.stdout ], [ 2, '' ], 'unknown passes of optimize')
+  assert.ok(passes.stderr.startsWith('wtf-ast: unknown pass foo of --optimize-passes\n'), 'message of unknown passes')
+  // the other lines and files are converted after an error
+  optimize.passes.fail = (ast) => { if (ast.toText() === 'x') { throw new Error('failed') } return ast }
+  const errors = await run([ '-l', '--optimize-passes=fail', '-', 'fixtures/pages-articles.xml' ], 'x\na')
+  delete optimize.passes.fail
+  assert.deepEqual([ errors.code, errors.stderr.split('\n')[0] ], [ 2, 'wtf-ast: stdin: failed' ], 'errors of conversions')
+  assert.ok(errors.stdout.startsWith('a\n') && errors.stdout.includes('A bus is a road vehicle.'), 'lines and files after errors')
+  assert.equal((await run([ '-f', 'pdf' ])).stderr.split('\n')[0], 'wtf-ast: unknown format pdf', 'unknown formats')
+  assert.end()
+})
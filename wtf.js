@@ -0,0 +1,85 @@
+'use strict'
+
+const { compile, parse, optimize } = require('./parser')
+const { Text, Link, Reference, findAll, transform } = require('./classes')
+
+
+// plugin for wtf_wikipedia: wtf.extend(plugin)
+// See: https://github.com/spencermountain/wtf_wikipedia
+//
+// The links, formatting and text of its sentences come from the ast of their wikitext instead of its regexes,
+// in the same shape: links of wtf's Link class and { bold: [ … ], italic: [ … ] } of formatting.
+// The ast is parsed once when any of them is read, and sentence.ast() returns it.
+// Sentences without wikitext, e.g. of tables, keep their own data.
+
+// the data of wtf's Link: { type, page, anchor, wiki, site, text, raw } with the wikitext of the link as raw,
+// and the fields as wtf makes them from the target: the page as it is written, without its anchor and prefixes,
+// wiki is the prefix or { wiki, lang } for two of them, the text is only there if it isn't the page
+function linkData(link, wiki) {
+  const raw = wiki.slice(link.range.start, link.range.end)
+  if (link.isExternal) {
+    const { site, text } = link.toJSON()
+    return { type: 'external', raw, site, text }
+  }
+  const { interwiki, language } = link
+  const [ first ]  = link.childs
+  const last       = link.childs[link.length - 1]
+  const prefix     = ( first && first.markup === 'prefix' ? first.toText() : '' )
+  const trail      = ( last  && last.markup  === 'trail' && last !== first ? last.toText() : '' )
+  const label      = link.childs.filter(child => ! [ 'prefix', 'trail' ].includes(child.markup)).map(child => child.toText()).join('')
+  const [ , target, anchor ] = /^([^#]*)(?:#([\s\S]*))?$/.exec(link.target)
+  const prefixes   = [ interwiki, language ].filter(Boolean).length
+  const out        = { type: ( prefixes ? 'interwiki' : 'internal' ), raw }
+  if (prefixes) { out.wiki = ( interwiki && language ? { wiki: interwiki, lang: language } : interwiki || language ) }
+  out.page = ( prefixes ? target.replace(/^:/, '').split(':').slice(prefixes).join(':') : target )
+  if (anchor !== undefined) { out.anchor = anchor }
+  let text = ( link.markup === '[[|' && label !== out.page ? label : undefined )
+  if (prefix || trail)                      { text = prefix + ( text || out.page ) + trail }
+  if (! text && ! /^[A-Z]/.test(out.page)) { text = out.page }
+  if (text) { out.text = text.replace(/^:/, '') }
+  return out
+}
+
+function plugin(models) {
+  const { Sentence } = models
+  const parsed = new WeakMap()
+
+  // the ast of the sentence, and its data in the shape of wtf
+  const ast = (sentence) => {
+    if (! parsed.has(sentence)) {
+      const { data } = sentence
+      const tree = ( typeof data.wiki === 'string' ? optimize(parse(compile(data.wiki))) : undefined )
+      parsed.set(sentence, tree)
+      if (tree) {
+        // language links are interwiki links, as in wtf, but categories and files are left out.
+        // They and the links without text are their text of wtf in the text of the sentence: [[Page#Sec]] is Page
+        const isLanguage = (node) => node instanceof Link && node.isMetadata && !! node.language
+        const hidden = (node) => ( node instanceof Link && node.isMetadata && ! isLanguage(node) ) || node instanceof Reference
+        const links  = findAll(tree, (node, { path }) => node instanceof Link && ! [ ...path, node ].some(hidden))
+        const text   = transform(tree, (node) => {
+          if (! isLanguage(node) && ! ( node instanceof Link && node.markup === '[[' && ! node.isMetadata )) { return undefined }
+          const { page, text } = linkData(node, data.wiki)
+          return new Text(text || page)
+        })
+        const { formatting } = tree.toJSON()
+        data.text  = text.toText().replace(/ {2,}/g, ' ').trim()
+        data.links = links.map(link => new models.Link(linkData(link, data.wiki)))
+        if (formatting) { data.fmt = formatting }
+        else            { delete data.fmt       }
+      }
+    }
+    return parsed.get(sentence)
+  }
+
+  for (const method of [ 'links', 'interwiki', 'bolds', 'italics', 'text', 'plaintext', 'json', 'isEmpty' ]) {
+    const original = Sentence.prototype[method]
+    Sentence.prototype[method] = function (...args) {
+      ast(this)
+      return original.apply(this, args)
+    }
+  }
+  Sentence.prototype.ast = function () { return ast(this) }
+}
+
+
+module.exports = { plugin }